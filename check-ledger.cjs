@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+'use strict';
+
+// Check the ledger's invariants (lib/ledger-check.cjs) and report every violation
+//   node check-ledger.cjs              report; exits 1 if there are errors
+//   node check-ledger.cjs --repair     rebuild the owners index and ownershipIndexed
+//                                      from the NFT records, save, then re-check
+//   --json                             print the issues as JSON
+//   --quiet                            leave out warnings
+
+const { createLedgerStore, loadOrExit } = require('./lib/ledger-store.cjs');
+const { checkLedger, repairIndexes } = require('./lib/ledger-check.cjs');
+
+const args = process.argv.slice(2);
+const repair = args.includes('--repair');
+const asJson = args.includes('--json');
+const quiet = args.includes('--quiet');
+
+const store = createLedgerStore();
+const ledger = loadOrExit(store);
+
+function summarize(issues) {
+  const byCheck = {};
+  for (const i of issues) {
+    const key = `${i.level} ${i.check}`;
+    byCheck[key] = (byCheck[key] || 0) + 1;
+  }
+  return byCheck;
+}
+
+try {
+  let repaired = null;
+  if (repair) {
+    repaired = repairIndexes(ledger);
+    store.save(ledger, { touch: false }); // the chain data did not change
+  }
+
+  let issues = checkLedger(ledger);
+  if (quiet) issues = issues.filter(i => i.level !== 'warn');
+  const errors = issues.filter(i => i.level === 'error').length;
+
+  if (asJson) {
+    console.log(JSON.stringify({ nfts: Object.keys(ledger.nfts).length, repaired, errors, issues }, null, 2));
+  } else {
+    if (repaired) console.log(`Repaired owners index: ${repaired.added} entries added, ${repaired.removed} removed; ownershipIndexed = ${ledger.ownershipIndexed}\n`);
+    for (const i of issues) {
+      const where = i.num !== undefined ? `#${i.num}` : i.address || 'ledger';
+      console.log(`${i.level === 'error' ? 'ERROR' : 'warn '} [${i.check}] ${where}: ${i.message}`);
+    }
+    if (issues.length) console.log('');
+    console.log(`Checked ${Object.keys(ledger.nfts).length} NFTs: ${errors} errors, ${issues.length - errors} warnings`);
+    for (const [key, n] of Object.entries(summarize(issues))) console.log(`  ${key}: ${n}`);
+    if (errors && !repair) console.log('\nIndex errors (owners-index, ownership-indexed) can be fixed with --repair; record errors need refresh-owners or a re-index.');
+  }
+
+  if (errors) process.exitCode = 1;
+} finally {
+  store.close();
+}
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+'use strict';
+
+// What changed between two ledger snapshots (lib/ledger-diff.cjs)
+//   node diff-ledger.cjs                    newest backup → current ledger
+//   node diff-ledger.cjs <from> [to]        to defaults to current
+//   node diff-ledger.cjs --list             backups, numbered newest first
+//   --json                                  the diff as JSON
+// A snapshot is 'current', a backup number from --list (0 = newest), a backup
+// file name in ledger-backups/, or a path to a .json or .db ledger.
+
+const { diffLedgers, formatDiff, listSnapshots, loadSnapshot } = require('./lib/ledger-diff.cjs');
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const [from = '0', to = 'current'] = args.filter(a => !a.startsWith('--'));
+
+try {
+  if (args.includes('--list')) {
+    const backups = listSnapshots();
+    if (backups.length === 0) console.log('No backups');
+    backups.forEach((f, i) => console.log(`${String(i).padStart(3)}  ${f}`));
+  } else {
+    const before = loadSnapshot(from);
+    const after = loadSnapshot(to);
+    const diff = diffLedgers(before.ledger, after.ledger);
+    if (asJson) console.log(JSON.stringify({ fromSnapshot: before.label, toSnapshot: after.label, ...diff }, null, 2));
+    else console.log(formatDiff(diff, { fromLabel: before.label, toLabel: after.label }));
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -4,19 +4,30 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createChainClient, sleep } = require('./lib/chain/client.cjs');
+const { buildProofBundle } = require('./lib/spv.cjs');
+const { jigStates } = require('./lib/jig-state.cjs');
+const { createLedgerStore } = require('./lib/ledger-store.cjs');
+const { SCHEMA_VERSION } = require('./lib/schema.cjs');
+const { diffLedgers, listSnapshots, loadSnapshot } = require('./lib/ledger-diff.cjs');
+const { nftAt, ledgerAt, createBlockClock } = require('./lib/history.cjs');
+const { exportTable, isTable, isFormat, TABLES, FORMATS } = require('./lib/export.cjs');
+const { mintLocation } = require('./lib/jig.cjs');
+const { classifyMint } = require('./lib/classify.cjs');
+const { listSales, salesStats } = require('./lib/sales.cjs');
 
 // ── Config ──────────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3001;
-const LEDGER_PATH = path.join(__dirname, 'ledger.json');
 const COLLECTION_PATH = path.join(__dirname, 'rexxie-collection.json');
-const WOC_BASE = 'https://api.whatsonchain.com/v1/bsv/main';
 
 const REXXIE_CLASS_ORIGIN = '12d8ca4bc0eaf26660627cc1671de6a0047246f39f3aa06633f8204223d70cc5';
 const TIQUE_RUN_BASE = `https://tique.run/${REXXIE_CLASS_ORIGIN}_o2`;
 
 // ── Ledger ──────────────────────────────────────────────────────────────────
+const store = createLedgerStore();
+
 let ledger = {
+  schemaVersion: SCHEMA_VERSION,
   collection: {
     name: 'Rexxie',
     protocol: 'Run (BSV)',
@@ -33,43 +44,86 @@ let ledger = {
   ownershipIndexed: 0,
 };
 
+// What is being served: bumped on every (re)load, reported by /health
+const loaded = { generation: 0, loadedAt: null, stamp: null };
+
+// Caches of data built from chain for the served ledger. Each holds at most
+// `max` entries, least recently used out first, and all are emptied when a
+// new ledger is swapped in (a reorg can change what they hold).
+// CHAIN_CACHE_MAX sets the size (default 500).
+const CACHE_MAX = parseInt(process.env.CHAIN_CACHE_MAX ?? '500');
+const caches = [];
+
+function lruCache(max = CACHE_MAX) {
+  const map = new Map();
+  const cache = {
+    get(key) {
+      if (!map.has(key)) return undefined;
+      const value = map.get(key);
+      map.delete(key);
+      map.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > max) map.delete(map.keys().next().value);
+    },
+    clear: () => map.clear(),
+  };
+  caches.push(cache);
+  return cache;
+}
+
 function loadLedger() {
   try {
-    if (fs.existsSync(LEDGER_PATH)) {
-      ledger = JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8'));
+    if (store.exists()) {
+      const stamp = store.stamp();
+      ledger = store.load();
+      Object.assign(loaded, { generation: loaded.generation + 1, loadedAt: new Date().toISOString(), stamp });
       console.log(`Loaded ledger: ${Object.keys(ledger.nfts).length} NFTs, ${ledger.ownershipIndexed} with ownership`);
     }
   } catch (e) {
     console.error('Failed to load ledger:', e.message);
+    // Never start on (and later overwrite) a ledger this code cannot read
+    if (/^LEDGER_/.test(e.code)) process.exit(1);
   }
 }
 
 function saveLedger() {
-  ledger.collection.lastUpdated = new Date().toISOString();
-  fs.writeFileSync(LEDGER_PATH, JSON.stringify(ledger, null, 2));
+  store.save(ledger);
+  loaded.stamp = store.stamp(); // our own write is not a change to reload
 }
 
-// ── WhatsOnChain Client ─────────────────────────────────────────────────────
-function wocGet(endpoint) {
-  return new Promise((resolve, reject) => {
-    const url = `${WOC_BASE}${endpoint}`;
-    https.get(url, { headers: { 'Accept': 'application/json' } }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try { resolve(JSON.parse(data)); }
-          catch { resolve(data); }
-        } else if (res.statusCode === 429) {
-          setTimeout(() => wocGet(endpoint).then(resolve).catch(reject), 3000);
-        } else {
-          reject(new Error(`WoC ${res.statusCode}: ${data.slice(0, 200)}`));
-        }
-      });
-    }).on('error', reject);
-  });
+// ── Live reload ─────────────────────────────────────────────────────────────
+// refresh-owners / sync-blocks rewrite the ledger while the server runs. Poll
+// the store's stamp and, when another process has saved, load the new ledger
+// in full and only then swap it in, so every request sees one whole ledger.
+// A ledger that fails to load keeps the current one serving.
+// LEDGER_RELOAD_MS sets the poll interval (default 5000, 0 disables).
+const RELOAD_MS = parseInt(process.env.LEDGER_RELOAD_MS ?? '5000');
+let indexing = 0; // running POST /index-owners batches mutate the served ledger; no swaps meanwhile
+
+function reloadIfChanged() {
+  if (indexing > 0) return;
+  let stamp;
+  try {
+    stamp = store.stamp();
+    if (stamp === null || stamp === loaded.stamp) return;
+    const next = store.load();
+    ledger = next;
+    for (const cache of caches) cache.clear();
+    Object.assign(loaded, { generation: loaded.generation + 1, loadedAt: new Date().toISOString(), stamp });
+    console.log(`Reloaded ledger (generation ${loaded.generation}, updated ${ledger.collection.lastUpdated})`);
+  } catch (e) {
+    console.error(`Ledger reload failed, still serving generation ${loaded.generation}: ${e.message}`);
+    loaded.stamp = stamp; // retry once it changes again
+  }
 }
 
+// ── Chain Client ────────────────────────────────────────────────────────────
+const chain = createChainClient();
+
 // ── Import collection metadata from content.js ─────────────────────────────
 function importCollection() {
   if (!fs.existsSync(COLLECTION_PATH)) {
@@ -113,35 +167,7 @@ function importCollection() {
   console.log(`Imported ${imported} NFTs. Total: ${Object.keys(ledger.nfts).length}`);
 }
 
-// ── Run Protocol Decoder ────────────────────────────────────────────────────
-function decodeRunPayload(tx) {
-  for (const vout of (tx.vout || [])) {
-    const asm = vout.scriptPubKey?.asm || '';
-    if (!asm.includes('OP_RETURN')) continue;
-    try {
-      const parts = asm.split(' ');
-      const ri = parts.indexOf('OP_RETURN');
-      if (ri < 0) continue;
-      const dp = parts.slice(ri + 1).filter(p => !p.startsWith('OP_'));
-      if (dp[0] !== '7239026' && dp[0] !== '72756e') continue;
-      let appName = null;
-      for (let i = 2; i < dp.length; i++) {
-        try {
-          const txt = Buffer.from(dp[i], 'hex').toString('utf8');
-          if (txt.startsWith('{')) {
-            const payload = JSON.parse(txt);
-            payload._appName = appName;
-            return payload;
-          } else if (!appName) {
-            appName = txt;
-          }
-        } catch {}
-      }
-    } catch {}
-  }
-  return null;
-}
-
+// ── Run Helpers ─────────────────────────────────────────────────────────────
 // Resolve address from Run arg
 function resolveAddress(arg) {
   if (typeof arg === 'string') return arg;
@@ -177,33 +203,18 @@ async function indexOwnership(startNum, batchSize = 50) {
     if (!nft.mintTxid) continue;
 
     try {
-      // Get the mint tx to find initial owner address (vout 2 = NFT jig output)
-      const mintTx = await wocGet(`/tx/hash/${nft.mintTxid}`);
-      // NFT jig is at _o3, which is vout index 3 (0=image OP_RETURN, 1=Run OP_RETURN, 2=class, 3=NFT)
-      // Actually _o3 means Run output index 3 (which maps to the 4th P2PKH output after OP_RETURNs)
-      // Let's find the address from the mint tx
-      
-      // In Run, outputs after OP_RETURN are: class jig, NFT jig, change...
-      // The NFT jig (_o3) is typically at vout 2 or 3
-      // For a mint with `out: 2` (class state + NFT), the NFT is the second P2PKH output
-      let nftVout = null;
-      let p2pkhIdx = 0;
-      for (const vout of mintTx.vout) {
-        if (vout.scriptPubKey?.asm?.includes('OP_RETURN')) continue;
-        p2pkhIdx++;
-        // _o3 means the 3rd Run output (0-indexed from Run's perspective)
-        // Run output 0 = class update, output 1 = new NFT jig
-        // But we need to figure out vout mapping. Let's try vout 2 first.
-      }
-
-      // Simpler: check address at vout 2 (typical NFT position for mints)
-      const nftOutput = mintTx.vout[2];
-      const mintOwner = nftOutput?.scriptPubKey?.addresses?.[0];
+      // The mint tx's NFT jig output (its jigRef, _o3) pays the initial owner
+      const mintTx = await chain.getParsedTx(nft.mintTxid);
+      const { vout, confidence } = mintLocation(nft);
+      const mintOwner = mintTx.outputs[vout]?.address;
 
       if (mintOwner) {
         nft.owner = mintOwner;
         nft.lastTx = nft.mintTxid;
-        nft.transfers = [{ txid: nft.mintTxid, type: 'mint', to: mintOwner, blockHeight: mintTx.blockheight }];
+        nft.lastVout = vout;
+        nft.locationConfidence = confidence;
+        const { class: cls, evidence } = classifyMint(mintTx, vout);
+        nft.transfers = [{ txid: nft.mintTxid, type: 'mint', to: mintOwner, blockHeight: mintTx.blockheight, blockHash: mintTx.blockhash, class: cls, evidence }];
 
         // Now trace forward: check if this output was spent (= transferred)
         // For now just record the mint owner — full transfer tracing is a future step
@@ -219,11 +230,9 @@ async function indexOwnership(startNum, batchSize = 50) {
         saveLedger();
         console.log(`  Indexed ${indexed}/${batch.length} (NFT #${num})`);
       }
-
-      await new Promise(r => setTimeout(r, 300));
     } catch (e) {
       console.error(`  Error indexing #${num}: ${e.message}`);
-      await new Promise(r => setTimeout(r, 500));
+      await sleep(500);
     }
   }
 
@@ -240,6 +249,47 @@ app.use((req, res, next) => {
   next();
 });
 
+// ── Point in time ───────────────────────────────────────────────────────────
+// ?atBlock=<height> or ?atDate=<ISO date | unix seconds> answers from the
+// transfers replayed up to that block (lib/history.cjs) instead of the current
+// state. atDate needs block headers from the chain client.
+const blockClock = createBlockClock(chain);
+
+async function asOf(req) {
+  const { atBlock, atDate } = req.query;
+  if (atBlock !== undefined) {
+    const height = Number(atBlock);
+    if (!Number.isInteger(height) || height < 0) throw Object.assign(new Error('atBlock must be a block height'), { status: 400 });
+    return { atBlock: height };
+  }
+  if (atDate !== undefined) {
+    const date = new Date(/^\d+$/.test(atDate) ? Number(atDate) * 1000 : atDate);
+    if (isNaN(date)) throw Object.assign(new Error('atDate must be an ISO date or unix time'), { status: 400 });
+    const height = await blockClock.heightAt(date, { low: ledger.collection.deployBlock || 0 });
+    return { atBlock: height, atDate: date.toISOString() };
+  }
+  return null;
+}
+
+// Route handler that gets the requested point in time (null = now) as a third
+// argument. Express 4 does not catch errors from async handlers, so a handler
+// that throws answers 500 here instead of leaving the request hanging.
+function withAsOf(handler) {
+  return async (req, res) => {
+    let at;
+    try {
+      at = await asOf(req);
+    } catch (e) {
+      return res.status(e.status || 502).json({ error: e.status ? e.message : `Could not resolve atDate: ${e.message}` });
+    }
+    try {
+      await handler(req, res, at);
+    } catch (e) {
+      if (!res.headersSent) res.status(500).json({ error: e.message });
+    }
+  };
+}
+
 // Serve local images
 const IMG_DIR = path.join(__dirname, 'images');
 app.use('/images', express.static(IMG_DIR));
@@ -253,17 +303,27 @@ app.get('/', (req, res) => {
     endpoints: {
       'GET /collection': 'Collection info and stats',
       'GET /nfts?page=1&limit=50': 'List NFTs (paginated)',
-      'GET /nft/:number': 'NFT details by number (1-2222)',
+      'GET /nft/:number': 'NFT details by number (1-2222); owner is confirmed, pendingOwner includes mempool transfers',
+      'GET /nft/:number/proof': 'SPV proof bundle: tx chain from mint to current output with merkle branches',
+      'GET /nft/:number/activity': 'Every tx the NFT went through, classified (mint, send, list, cancel-listing, purchase, re-list, burn-by-sweep, melt, unknown) with evidence',
+      'GET /nft/:number/sales': 'Marketplace sales of one NFT: buyer, seller, price (satoshis), block time',
+      'GET /nft/:number/state?location=<txid>_o<vout>': 'Jig state at a location (default current): owner lock, satoshis, class, mint metadata',
       'GET /nft/tx/:txid': 'NFT details by mint txid',
       'GET /owner/:address': 'NFTs owned by a BSV address',
       'GET /traits': 'List all trait types and values with counts',
       'GET /traits/:type/:value': 'NFTs with a specific trait',
       'GET /search?q=query': 'Search NFTs by trait value',
       'GET /random': 'Random NFT',
-      'GET /stats': 'Collection statistics',
+      'GET /stats': 'Collection statistics, with sales aggregates (volume, average, median, low, high)',
+      'GET /sales?page=1&limit=50&address=': 'Marketplace sales, newest first, optionally by buyer or seller address',
+      'GET /snapshot': 'Holder snapshot: every address with its NFTs',
+      '?atBlock=<height> | ?atDate=<ISO date>': 'On /nft/:number, /owner/:address, /stats and /snapshot: state as of that block, replayed from transfers',
+      'GET /export/:format?table=nfts': 'Table export (csv | ndjson | parquet) of nfts, transfers or holders',
+      'GET /backups': 'Ledger backups, newest first',
+      'GET /diff?from=0&to=current': 'Changes between two ledger snapshots (backup number or file name, or current)',
       'POST /index-owners?start=1&batch=50': 'Index ownership from chain (slow)',
       'GET /images/:number.png': 'NFT image (locally hosted)',
-      'GET /health': 'Health check',
+      'GET /health': 'Health check, with the loaded ledger generation and lastUpdated',
     },
   });
 });
@@ -299,17 +359,112 @@ app.get('/nfts', (req, res) => {
         image: nft.image,
         traits: nft.traits,
         owner: nft.owner,
+        pendingOwner: nft.pendingOwner || null,
       };
     }),
   });
 });
 
-app.get('/nft/:number', (req, res) => {
+app.get('/nft/:number', withAsOf((req, res, at) => {
   const num = parseInt(req.params.number);
   const nft = ledger.nfts[num];
   if (!nft) return res.status(404).json({ error: 'NFT not found', valid: '1-2222' });
+  if (at) {
+    const { undated, ...state } = nftAt(nft, at.atBlock, { deployBlock: ledger.collection.deployBlock });
+    return res.json({ number: num, mintTxid: nft.mintTxid, image: nft.image, traits: nft.traits, ...at, ...state, undatedTransfers: undated });
+  }
   const hasLocal = fs.existsSync(path.join(IMG_DIR, `${num}.png`));
-  res.json({ ...nft, localImage: hasLocal ? `/images/${num}.png` : null });
+  // owner = confirmed owner; pendingOwner = owner after unconfirmed (mempool) transfers.
+  // lastProof is only served while it proves lastTx.
+  const { lastProof, ...rest } = nft;
+  res.json({
+    ...rest,
+    ...(lastProof?.txid === nft.lastTx && { lastProof }),
+    pendingOwner: nft.pendingOwner || null,
+    localImage: hasLocal ? `/images/${num}.png` : null,
+  });
+}));
+
+// SPV proof bundle: mint → current output, raw txs with merkle branches.
+// Check offline with `node proofs.cjs verify`. Built on demand, cached per location.
+const proofCache = lruCache(); // `${num}:${lastTx}` → bundle
+
+app.get('/nft/:number/proof', async (req, res) => {
+  const num = parseInt(req.params.number);
+  const nft = ledger.nfts[num];
+  if (!nft) return res.status(404).json({ error: 'NFT not found', valid: '1-2222' });
+  if (!nft.lastTx) return res.status(404).json({ error: 'NFT ownership not indexed yet' });
+  const key = `${num}:${nft.lastTx}`;
+  try {
+    let bundle = proofCache.get(key);
+    if (!bundle) {
+      bundle = await buildProofBundle(chain, nft);
+      proofCache.set(key, bundle);
+    }
+    res.json(bundle);
+  } catch (e) {
+    res.status(502).json({ error: `Could not build proof: ${e.message}` });
+  }
+});
+
+// Activity history: one entry per recorded hop, with its class and evidence
+// (lib/classify.cjs). class is null on transfers recorded before hops were
+// classified.
+app.get('/nft/:number/activity', (req, res) => {
+  const num = parseInt(req.params.number);
+  const nft = ledger.nfts[num];
+  if (!nft) return res.status(404).json({ error: 'NFT not found', valid: '1-2222' });
+  res.json({
+    number: num,
+    activity: (nft.transfers || []).map(t => ({
+      txid: t.txid,
+      class: t.class ?? null,
+      type: t.type,
+      from: t.from ?? null,
+      to: t.to ?? null,
+      ...(t.type === 'list' && { seller: t.seller ?? null, price: t.price ?? null, payTo: t.payTo ?? null }),
+      blockHeight: t.blockHeight ?? null,
+      confirmed: t.confirmed !== false,
+      confidence: t.confidence ?? null,
+      evidence: t.evidence || [],
+    })),
+  });
+});
+
+app.get('/nft/:number/sales', (req, res) => {
+  const num = parseInt(req.params.number);
+  if (!ledger.nfts[num]) return res.status(404).json({ error: 'NFT not found', valid: '1-2222' });
+  const sales = listSales(ledger, { number: num });
+  res.json({ number: num, count: sales.length, sales });
+});
+
+// Jig state at one of its locations, rebuilt from chain (lib/jig-state.cjs).
+// All states are built on the first request and cached per current location.
+const stateCache = lruCache(); // `${num}:${lastTx}` → states, mint first
+
+app.get('/nft/:number/state', async (req, res) => {
+  const num = parseInt(req.params.number);
+  const nft = ledger.nfts[num];
+  if (!nft) return res.status(404).json({ error: 'NFT not found', valid: '1-2222' });
+  if (!nft.mintTxid) return res.status(404).json({ error: 'NFT has no mint txid' });
+  const { location } = req.query;
+  if (location !== undefined && !/^[0-9a-f]{64}_o\d+$/.test(location)) {
+    return res.status(400).json({ error: 'location must be <txid>_o<vout>' });
+  }
+  const key = `${num}:${nft.lastTx || nft.mintTxid}`;
+  let states;
+  try {
+    states = stateCache.get(key);
+    if (!states) {
+      states = await jigStates(chain, nft);
+      stateCache.set(key, states);
+    }
+  } catch (e) {
+    return res.status(502).json({ error: `Could not rebuild state: ${e.message}` });
+  }
+  const state = location ? states.find(s => s.location === location) : states[states.length - 1];
+  if (!state) return res.status(404).json({ error: `${location} is not a location of NFT #${num}`, locations: states.map(s => s.location) });
+  res.json({ number: num, current: !state.spentBy, ...state });
 });
 
 app.get('/nft/tx/:txid', (req, res) => {
@@ -319,11 +474,21 @@ app.get('/nft/tx/:txid', (req, res) => {
   res.json({ number: parseInt(entry[0]), ...entry[1] });
 });
 
-app.get('/owner/:address', (req, res) => {
+app.get('/owner/:address', withAsOf((req, res, at) => {
+  if (at) {
+    const nums = ledgerAt(ledger, at.atBlock).owners[req.params.address] || [];
+    const nfts = nums.map(n => ({ number: n, mintTxid: ledger.nfts[n].mintTxid, image: ledger.nfts[n].image, traits: ledger.nfts[n].traits }));
+    return res.json({ address: req.params.address, ...at, count: nfts.length, nfts });
+  }
   const nums = ledger.owners[req.params.address] || [];
   const nfts = nums.map(n => ({ number: n, ...ledger.nfts[n] }));
-  res.json({ address: req.params.address, count: nfts.length, nfts });
-});
+  // Unconfirmed transfers to and from this address (not yet in the owners index)
+  const incoming = Object.entries(ledger.nfts)
+    .filter(([_, nft]) => nft.pendingOwner === req.params.address)
+    .map(([num]) => parseInt(num));
+  const outgoing = nfts.filter(nft => nft.pendingOwner).map(nft => nft.number);
+  res.json({ address: req.params.address, count: nfts.length, nfts, pending: { incoming, outgoing } });
+}));
 
 app.get('/traits', (req, res) => {
   const traitTypes = {};
@@ -364,7 +529,7 @@ app.get('/random', (req, res) => {
   res.json({ number: num, ...ledger.nfts[num] });
 });
 
-app.get('/stats', (req, res) => {
+app.get('/stats', withAsOf((req, res, at) => {
   const traitCounts = {};
   for (const nft of Object.values(ledger.nfts)) {
     if (!nft.traits) continue;
@@ -373,30 +538,125 @@ app.get('/stats', (req, res) => {
       traitCounts[type].add(value);
     }
   }
+  const traitTypes = Object.fromEntries(Object.entries(traitCounts).map(([k, v]) => [k, v.size]));
+  if (at) {
+    const then = ledgerAt(ledger, at.atBlock);
+    const states = Object.values(then.nfts);
+    return res.json({
+      totalNFTs: 2222,
+      ...at,
+      minted: states.filter(s => s.minted).length,
+      owned: states.filter(s => s.owner).length,
+      burned: states.filter(s => s.burned).length,
+      uniqueOwners: Object.keys(then.owners).length,
+      traitTypes,
+      sales: salesStats(listSales(ledger).filter(s => s.confirmed && s.blockHeight !== null && s.blockHeight <= at.atBlock)),
+    });
+  }
   const uniqueOwners = new Set(Object.values(ledger.nfts).map(n => n.owner).filter(Boolean));
   res.json({
     totalNFTs: 2222,
     indexed: Object.keys(ledger.nfts).length,
     ownershipIndexed: ledger.ownershipIndexed,
     uniqueOwners: uniqueOwners.size,
-    traitTypes: Object.fromEntries(Object.entries(traitCounts).map(([k, v]) => [k, v.size])),
+    traitTypes,
+    sales: salesStats(listSales(ledger)),
   });
+}));
+
+// Marketplace sales (purchases out of OrderLocks), newest first
+app.get('/sales', (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const sales = listSales(ledger, { address: req.query.address || undefined });
+  res.json({ total: sales.length, page, limit, sales: sales.slice((page - 1) * limit, page * limit) });
+});
+
+// Holder snapshot: every address with the NFTs it held, most first.
+// Now (confirmed owners) or at ?atBlock= / ?atDate= — e.g. for airdrops.
+app.get('/snapshot', withAsOf((req, res, at) => {
+  const owners = at ? ledgerAt(ledger, at.atBlock).owners : ledger.owners;
+  const holders = Object.entries(owners)
+    .filter(([_, nums]) => nums.length > 0)
+    .map(([address, nums]) => ({ address, count: nums.length, nfts: [...nums].sort((a, b) => a - b) }))
+    .sort((a, b) => b.count - a.count || a.address.localeCompare(b.address));
+  res.json({
+    ...(at || { atBlock: null, syncedHeight: ledger.syncedHeight ?? null, lastUpdated: ledger.collection.lastUpdated }),
+    holders: holders.length,
+    nfts: holders.reduce((sum, h) => sum + h.count, 0),
+    owners: holders,
+  });
+}));
+
+// Flat tables for analysis tools: ?table=nfts (default) | transfers | holders
+app.get('/export/:format', async (req, res) => {
+  const { format } = req.params;
+  const table = req.query.table || 'nfts';
+  if (!isFormat(format) || !isTable(table)) {
+    return res.status(400).json({ error: `format must be ${Object.keys(FORMATS).join(' | ')}, table ${Object.keys(TABLES).join(' | ')}` });
+  }
+  try {
+    const data = await exportTable(ledger, table, format);
+    res.attachment(`rexxie-${table}.${FORMATS[format].ext}`);
+    res.type(FORMATS[format].contentType); // after attachment(), which guesses one from the extension
+    res.send(data);
+  } catch (e) {
+    res.status(e.code === 'EXPORT_INVALID' ? 400 : 500).json({ error: e.message });
+  }
+});
+
+app.get('/backups', (req, res) => {
+  res.json({ backups: listSnapshots().map((file, index) => ({ index, file })) });
+});
+
+// Snapshots are named by backup number or file name only (no paths);
+// 'current' is the ledger this server is serving
+const SNAPSHOT_RE = /^(current|\d+|ledger-[\w.-]+\.(json|db))$/;
+
+app.get('/diff', (req, res) => {
+  const { from = '0', to = 'current' } = req.query;
+  if (!SNAPSHOT_RE.test(from) || !SNAPSHOT_RE.test(to)) {
+    return res.status(400).json({ error: 'from/to must be current, a backup number or a backup file name (see /backups)' });
+  }
+  try {
+    const snapshot = (spec) => spec === 'current' ? { label: 'current', ledger } : loadSnapshot(spec);
+    const before = snapshot(from);
+    const after = snapshot(to);
+    res.json({ fromSnapshot: before.label, toSnapshot: after.label, ...diffLedgers(before.ledger, after.ledger) });
+  } catch (e) {
+    // Unknown snapshot, or one that cannot be read (corrupt, too new)
+    res.status(/^LEDGER_/.test(e.code) ? 422 : 404).json({ error: e.message });
+  }
 });
 
 app.post('/index-owners', async (req, res) => {
   const start = parseInt(req.query.start) || 1;
   const batch = Math.min(parseInt(req.query.batch) || 50, 200);
   res.json({ status: 'indexing', start, batch });
-  indexOwnership(start, batch).catch(console.error);
+  indexing++;
+  indexOwnership(start, batch).catch(console.error).finally(() => { indexing--; });
 });
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', uptime: process.uptime(), nfts: Object.keys(ledger.nfts).length });
+  res.json({
+    status: 'ok',
+    uptime: process.uptime(),
+    nfts: Object.keys(ledger.nfts).length,
+    ledger: {
+      store: store.backend,
+      generation: loaded.generation,
+      loadedAt: loaded.loadedAt,
+      schemaVersion: ledger.schemaVersion ?? 0,
+      lastUpdated: ledger.collection.lastUpdated,
+      syncedHeight: ledger.syncedHeight ?? null,
+    },
+  });
 });
 
 // ── Start ───────────────────────────────────────────────────────────────────
 loadLedger();
 importCollection();
+if (RELOAD_MS > 0) setInterval(reloadIfChanged, RELOAD_MS);
 
 app.listen(PORT, () => {
   console.log(`Rexxie Explorer API running on port ${PORT}`);
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+'use strict';
+
+// Export the ledger as flat tables (lib/export.cjs)
+//   node export.cjs <csv|ndjson|parquet>            nfts, transfers and holders into exports/
+//   node export.cjs <format> --table <name>         one table only
+//   --out <dir>                                     output directory (default exports/)
+
+const fs = require('fs');
+const path = require('path');
+const { createLedgerStore, loadOrExit } = require('./lib/ledger-store.cjs');
+const { exportTable, isTable, isFormat, TABLES, FORMATS } = require('./lib/export.cjs');
+
+const args = process.argv.slice(2);
+const flag = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : undefined; };
+const format = args[0];
+const table = flag('--table');
+const outDir = flag('--out') || path.join(__dirname, 'exports');
+
+if (!isFormat(format) || (table !== undefined && !isTable(table))) {
+  console.error(`Usage: node export.cjs <${Object.keys(FORMATS).join('|')}> [--table ${Object.keys(TABLES).join('|')}] [--out dir]`);
+  process.exit(1);
+}
+
+const store = createLedgerStore();
+const ledger = loadOrExit(store);
+store.close();
+
+(async () => {
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const name of table ? [table] : Object.keys(TABLES)) {
+    const file = path.join(outDir, `${name}.${FORMATS[format].ext}`);
+    const data = await exportTable(ledger, name, format);
+    fs.writeFileSync(file, data);
+    console.log(`${file} (${(Buffer.byteLength(data) / 1024).toFixed(1)} KB)`);
+  }
+})().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+'use strict';
+
+// Move the ledger between ledger.json and the SQLite store (lib/ledger-store.cjs)
+//   node ledger-db.cjs import [ledger.json]    load a JSON ledger into LEDGER_DB (replaces its contents)
+//   node ledger-db.cjs export [out.json]       write LEDGER_DB back out in the ledger.json format
+//   node ledger-db.cjs stats                   row counts per table
+//   node ledger-db.cjs runs [N]                last N indexer runs (default 20)
+
+const fs = require('fs');
+const { createJsonStore, createSqliteStore, LEDGER_PATH } = require('./lib/ledger-store.cjs');
+
+const [cmd = 'stats', arg] = process.argv.slice(2);
+const db = createSqliteStore();
+
+try {
+  if (cmd === 'import') {
+    const ledger = createJsonStore({ file: arg || LEDGER_PATH }).load({ anyVersion: true });
+    db.load({ anyVersion: true }); // so rows absent from the JSON are deleted
+    db.save(ledger, { touch: false });
+    console.log(`Imported ${Object.keys(ledger.nfts).length} NFTs, ${Object.keys(ledger.owners).length} owners into ${db.path}`);
+  } else if (cmd === 'export') {
+    const out = arg || LEDGER_PATH;
+    if (!db.exists()) throw new Error(`${db.path} holds no ledger (run: node ledger-db.cjs import)`);
+    if (!arg && fs.existsSync(out)) throw new Error(`${out} exists; pass an explicit path to overwrite it`);
+    const ledger = db.load({ anyVersion: true });
+    createJsonStore({ file: out }).save(ledger, { touch: false });
+    console.log(`Exported ${Object.keys(ledger.nfts).length} NFTs to ${out}`);
+  } else if (cmd === 'stats') {
+    console.log(db.path);
+    for (const table of ['nfts', 'transfers', 'owners', 'runs']) {
+      console.log(`  ${table}: ${db.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n}`);
+    }
+  } else if (cmd === 'runs') {
+    for (const run of db.runs(parseInt(arg) || 20)) {
+      console.log(`#${run.id} ${run.script} ${run.started_at} → ${run.finished_at} ${run.status} ${JSON.stringify(run.summary)}`);
+    }
+  } else {
+    throw new Error(`Unknown command: ${cmd} (expected import | export | stats | runs)`);
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,110 @@
+'use strict';
+
+// Block-driven incremental sync. Walks blocks from ledger.syncedHeight + 1 to
+// the tip and applies every tx that spends a tracked nft.lastTx:lastVout, so
+// work scales with chain activity rather than collection size. Needs a
+// provider that serves raw blocks (rpc).
+//
+// Each applied block is journaled with undo data (reorg.cjs); a block that does
+// not build on ledger.syncedHash rolls the ledger back to the fork point and
+// the new branch is applied from there.
+
+const { parseBlock } = require('./bsv-tx.cjs');
+const { applySpend, confirmTransfer } = require('./ownership.cjs');
+const { snapshotNFT, recordBlock, findForkHeight, rollbackTo } = require('./reorg.cjs');
+
+// 'txid:vout' → NFT number for every live jig location
+function trackedOutpoints(ledger) {
+  const tracked = new Map();
+  for (const [num, nft] of Object.entries(ledger.nfts)) {
+    if (nft.burned || !nft.lastTx || nft.lastVout === undefined) continue;
+    tracked.set(`${nft.lastTx}:${nft.lastVout}`, Number(num));
+  }
+  return tracked;
+}
+
+// txid → NFT numbers for transfers recorded from the mempool (confirmed: false)
+function pendingTxids(ledger) {
+  const pending = new Map();
+  for (const [num, nft] of Object.entries(ledger.nfts)) {
+    for (const t of nft.transfers || []) {
+      if (t.confirmed !== false) continue;
+      if (!pending.has(t.txid)) pending.set(t.txid, []);
+      pending.get(t.txid).push(Number(num));
+    }
+  }
+  return pending;
+}
+
+// Apply one parsed block; returns [{ num, txid, outcome }] for each spend found.
+// Txs are in block order, so a jig moving twice in one block is followed.
+// Pending transfers mined in the block are promoted ('confirmed' events).
+// `undo` collects each touched NFT's state from before the block.
+function applyBlock(ledger, tracked, block, height, undo = {}, pending = new Map()) {
+  const events = [];
+  for (const tx of block.txs) {
+    for (const num of pending.get(tx.txid) || []) {
+      const index = ledger.nfts[num].transfers.findIndex(t => t.txid === tx.txid && t.confirmed === false);
+      if (index < 0) continue;
+      if (!undo[num]) undo[num] = snapshotNFT(ledger.nfts[num]);
+      confirmTransfer(ledger, num, index, { blockheight: height, blockhash: block.hash, blocktime: block.time });
+      events.push({ num, txid: tx.txid, outcome: 'confirmed' });
+    }
+    pending.delete(tx.txid);
+
+    for (const input of tx.inputs) {
+      const key = `${input.txid}:${input.vout}`;
+      const num = tracked.get(key);
+      if (num === undefined) continue;
+      tracked.delete(key);
+
+      if (!undo[num]) undo[num] = snapshotNFT(ledger.nfts[num]);
+      const outcome = applySpend(ledger, num, { ...tx, blockheight: height, blockhash: block.hash, time: block.time });
+      const nft = ledger.nfts[num];
+      if (outcome !== 'burned') tracked.set(`${nft.lastTx}:${nft.lastVout}`, num);
+      events.push({ num, txid: tx.txid, outcome });
+    }
+  }
+  return events;
+}
+
+async function syncBlocks(ledger, chain, { fromHeight, toHeight, onBlock, onReorg } = {}) {
+  const start = fromHeight ?? (ledger.syncedHeight !== undefined ? ledger.syncedHeight + 1 : undefined);
+  if (start === undefined) throw new Error('Ledger has no syncedHeight yet; pass the first block to scan (--from <height>)');
+
+  const tip = toHeight ?? (await chain.getChainInfo()).blocks;
+  let tracked = trackedOutpoints(ledger);
+  let pending = pendingTxids(ledger);
+  const summary = { from: start, to: tip, blocks: 0, events: [], reorgs: [] };
+
+  for (let height = start; height <= tip; height++) {
+    const hash = await chain.getBlockHash(height);
+    const block = parseBlock(await chain.getRawBlock(hash));
+
+    // Only checkable when continuing from the cursor (not after an explicit --from)
+    if (ledger.syncedHash && ledger.syncedHeight === height - 1 && block.prevHash !== ledger.syncedHash) {
+      const forkHeight = await findForkHeight(ledger, chain);
+      const orphaned = ledger.syncedHeight - forkHeight;
+      const nums = rollbackTo(ledger, forkHeight);
+      tracked = trackedOutpoints(ledger);
+      pending = pendingTxids(ledger);
+      summary.reorgs.push({ forkHeight, orphaned, nfts: nums });
+      if (onReorg) await onReorg({ forkHeight, orphaned, nfts: nums });
+      height = forkHeight; // loop resumes at the first block of the new branch
+      continue;
+    }
+
+    const undo = {};
+    const events = applyBlock(ledger, tracked, block, height, undo, pending);
+    recordBlock(ledger, height, hash, undo);
+    ledger.syncedHeight = height;
+    ledger.syncedHash = hash;
+    summary.blocks++;
+    summary.events.push(...events);
+    if (onBlock) await onBlock({ height, hash, events });
+  }
+
+  return summary;
+}
+
+module.exports = { syncBlocks, applyBlock, trackedOutpoints, pendingTxids };
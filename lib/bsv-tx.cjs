@@ -0,0 +1,238 @@
+'use strict';
+
+// Local raw-transaction parser. Works from tx hex alone, so the indexer no
+// longer depends on how a provider decodes scripts or renders ASM.
+//
+// parseTx(hex) →
+//   { txid, version, locktime,
+//     inputs:  [{ txid, vout, script, sequence }],
+//     outputs: [{ n, satoshis, script, chunks, template, address }] }
+//
+// template is one of 'p2pkh' | 'p2pk' | 'op_return' | 'nonstandard'.
+// parseBlock(hex) returns the header fields plus the parsed txs in block order.
+
+const crypto = require('crypto');
+
+const OP = {
+  OP_0: 0x00,
+  OP_PUSHDATA1: 0x4c,
+  OP_PUSHDATA2: 0x4d,
+  OP_PUSHDATA4: 0x4e,
+  OP_1NEGATE: 0x4f,
+  OP_1: 0x51,
+  OP_16: 0x60,
+  OP_RETURN: 0x6a,
+  OP_DUP: 0x76,
+  OP_EQUALVERIFY: 0x88,
+  OP_HASH160: 0xa9,
+  OP_CHECKSIG: 0xac,
+};
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// ── Hashing / encoding ──────────────────────────────────────────────────────
+function sha256(buf) { return crypto.createHash('sha256').update(buf).digest(); }
+function sha256d(buf) { return sha256(sha256(buf)); }
+function hash160(buf) { return crypto.createHash('ripemd160').update(sha256(buf)).digest(); }
+
+function base58(buf) {
+  let n = BigInt('0x' + (buf.toString('hex') || '0'));
+  let out = '';
+  while (n > 0n) { out = BASE58[Number(n % 58n)] + out; n /= 58n; }
+  for (const b of buf) { if (b !== 0) break; out = '1' + out; }
+  return out;
+}
+
+function base58check(version, payload) {
+  const body = Buffer.concat([Buffer.from([version]), payload]);
+  return base58(Buffer.concat([body, sha256d(body).subarray(0, 4)]));
+}
+
+// Mainnet P2PKH address for a 20-byte pubkey hash
+function pkhToAddress(pkh) {
+  return base58check(0x00, Buffer.isBuffer(pkh) ? pkh : Buffer.from(pkh, 'hex'));
+}
+
+// ── Reader ──────────────────────────────────────────────────────────────────
+function reader(buf) {
+  let pos = 0;
+  const need = (n) => { if (pos + n > buf.length) throw new Error(`Unexpected end of tx at byte ${pos}`); };
+  return {
+    get pos() { return pos; },
+    bytes(n) { need(n); const b = buf.subarray(pos, pos + n); pos += n; return b; },
+    u8() { need(1); return buf[pos++]; },
+    u32() { need(4); const v = buf.readUInt32LE(pos); pos += 4; return v; },
+    u64() { need(8); const v = buf.readBigUInt64LE(pos); pos += 8; return Number(v); },
+    varint() {
+      const first = this.u8();
+      if (first < 0xfd) return first;
+      if (first === 0xfd) { need(2); const v = buf.readUInt16LE(pos); pos += 2; return v; }
+      if (first === 0xfe) return this.u32();
+      return this.u64();
+    },
+  };
+}
+
+// ── Scripts ─────────────────────────────────────────────────────────────────
+// Split a script into chunks: { op } for opcodes, { op, buf } for pushes.
+// Data after OP_RETURN is not executed and may be malformed; a push that runs
+// past the end is kept as a truncated chunk instead of failing the parse.
+function parseScript(script) {
+  const buf = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex');
+  const chunks = [];
+  let i = 0;
+  while (i < buf.length) {
+    const op = buf[i++];
+    let len = null;
+    if (op > 0 && op < OP.OP_PUSHDATA1) len = op;
+    else if (op === OP.OP_PUSHDATA1 && i + 1 <= buf.length) { len = buf[i]; i += 1; }
+    else if (op === OP.OP_PUSHDATA2 && i + 2 <= buf.length) { len = buf.readUInt16LE(i); i += 2; }
+    else if (op === OP.OP_PUSHDATA4 && i + 4 <= buf.length) { len = buf.readUInt32LE(i); i += 4; }
+
+    if (len === null) { chunks.push({ op }); continue; }
+    if (i + len > buf.length) {
+      chunks.push({ op, buf: buf.subarray(i), truncated: true });
+      break;
+    }
+    chunks.push({ op, buf: buf.subarray(i, i + len) });
+    i += len;
+  }
+  return chunks;
+}
+
+function isOpReturn(chunks) {
+  return chunks[0]?.op === OP.OP_RETURN ||
+    (chunks[0]?.op === OP.OP_0 && chunks[1]?.op === OP.OP_RETURN);
+}
+
+function classifyScript(chunks) {
+  if (isOpReturn(chunks)) return 'op_return';
+  if (chunks.length === 5 &&
+      chunks[0].op === OP.OP_DUP && chunks[1].op === OP.OP_HASH160 &&
+      chunks[2].buf?.length === 20 &&
+      chunks[3].op === OP.OP_EQUALVERIFY && chunks[4].op === OP.OP_CHECKSIG) return 'p2pkh';
+  if (chunks.length === 2 && (chunks[0].buf?.length === 33 || chunks[0].buf?.length === 65) &&
+      chunks[1].op === OP.OP_CHECKSIG) return 'p2pk';
+  return 'nonstandard';
+}
+
+function scriptAddress(template, chunks) {
+  if (template === 'p2pkh') return pkhToAddress(chunks[2].buf);
+  if (template === 'p2pk') return pkhToAddress(hash160(chunks[0].buf));
+  return null;
+}
+
+// The data a push-only opcode pushes: OP_0 an empty buffer, OP_1NEGATE and
+// OP_1..OP_16 one byte (as a minimal push encodes those values). null for
+// anything else.
+function pushedData(chunk) {
+  if (chunk.buf) return chunk.buf;
+  if (chunk.op === OP.OP_0) return Buffer.alloc(0);
+  if (chunk.op === OP.OP_1NEGATE) return Buffer.from([0x81]);
+  if (chunk.op >= OP.OP_1 && chunk.op <= OP.OP_16) return Buffer.from([chunk.op - OP.OP_1 + 1]);
+  return null;
+}
+
+// Data pushes following OP_RETURN, as Buffers. Empty pushes are kept as
+// zero-length Buffers so positions stay fixed.
+function opReturnData(chunks) {
+  const start = chunks.findIndex(c => c.op === OP.OP_RETURN);
+  if (start < 0) return [];
+  return chunks.slice(start + 1).map(pushedData).filter(b => b !== null);
+}
+
+// ── Transactions ────────────────────────────────────────────────────────────
+function readTx(r, buf) {
+  const start = r.pos;
+  const version = r.u32();
+
+  const inputs = [];
+  const inCount = r.varint();
+  for (let i = 0; i < inCount; i++) {
+    const prev = Buffer.from(r.bytes(32)).reverse().toString('hex');
+    const vout = r.u32();
+    const script = r.bytes(r.varint()).toString('hex');
+    const sequence = r.u32();
+    inputs.push({ txid: prev, vout, script, sequence });
+  }
+
+  const outputs = [];
+  const outCount = r.varint();
+  for (let n = 0; n < outCount; n++) {
+    const satoshis = r.u64();
+    const scriptBuf = r.bytes(r.varint());
+    const chunks = parseScript(scriptBuf);
+    const template = classifyScript(chunks);
+    outputs.push({ n, satoshis, script: scriptBuf.toString('hex'), chunks, template, address: scriptAddress(template, chunks) });
+  }
+
+  const locktime = r.u32();
+  return {
+    txid: Buffer.from(sha256d(buf.subarray(start, r.pos))).reverse().toString('hex'),
+    version,
+    locktime,
+    inputs,
+    outputs,
+  };
+}
+
+function parseTx(hex) {
+  const buf = Buffer.from(hex, 'hex');
+  const r = reader(buf);
+  const tx = readTx(r, buf);
+  if (r.pos !== buf.length) throw new Error(`Trailing bytes after tx (${buf.length - r.pos})`);
+  return tx;
+}
+
+// ── Blocks ──────────────────────────────────────────────────────────────────
+// 80-byte header: version, prev hash, merkle root, time, bits, nonce
+function parseBlockHeader(header) {
+  const buf = Buffer.isBuffer(header) ? header : Buffer.from(header, 'hex');
+  const r = reader(buf);
+  return {
+    hash: Buffer.from(sha256d(buf.subarray(0, 80))).reverse().toString('hex'),
+    version: r.u32(),
+    prevHash: Buffer.from(r.bytes(32)).reverse().toString('hex'),
+    merkleRoot: Buffer.from(r.bytes(32)).reverse().toString('hex'),
+    time: r.u32(),
+    bits: r.u32(),
+    nonce: r.u32(),
+  };
+}
+
+// Inverse of parseBlockHeader, for providers that return header fields as JSON
+function serializeBlockHeader({ version, prevHash, merkleRoot, time, bits, nonce }) {
+  const buf = Buffer.alloc(80);
+  buf.writeUInt32LE(version >>> 0, 0);
+  Buffer.from(prevHash || '00'.repeat(32), 'hex').reverse().copy(buf, 4);
+  Buffer.from(merkleRoot, 'hex').reverse().copy(buf, 36);
+  buf.writeUInt32LE(time, 68);
+  buf.writeUInt32LE(typeof bits === 'string' ? parseInt(bits, 16) : bits, 72);
+  buf.writeUInt32LE(nonce >>> 0, 76);
+  return buf.toString('hex');
+}
+
+function parseBlock(hex) {
+  const buf = Buffer.isBuffer(hex) ? hex : Buffer.from(hex, 'hex');
+  const header = parseBlockHeader(buf.subarray(0, 80));
+  const r = reader(buf);
+  r.bytes(80);
+  const txs = [];
+  const count = r.varint();
+  for (let i = 0; i < count; i++) txs.push(readTx(r, buf));
+  return { ...header, txs };
+}
+
+module.exports = {
+  OP,
+  parseTx,
+  parseBlock,
+  parseBlockHeader,
+  serializeBlockHeader,
+  parseScript,
+  classifyScript,
+  opReturnData,
+  pkhToAddress,
+  hash160,
+  sha256d,
+};
@@ -0,0 +1,217 @@
+'use strict';
+
+// Shared chain-data client. Every script fetches chain data through this so
+// retry, backoff, timeout and throttling policy live in one place. Calls may be
+// issued concurrently; they all draw from one rate limiter (rate-limiter.cjs).
+//
+// Provider interface (see providers/):
+//   name                        short label for logs
+//   getTx(txid)                 decoded tx JSON (WoC shape) or null
+//   getRawTx(txid)              raw tx hex or null
+//   getSpender(txid, vout)      spending txid or null if unspent
+//   getAddressHistory(address)  [{ tx_hash, height }]
+// Optional bulk lookups (up to provider.bulkLimit items per request):
+//   getRawTxs(txids)            [{ txid, hex, blockhash, blockheight, ... } | null]
+//   getSpenders(outpoints)      [spendingTxid | null | undefined]
+// Optional, for block scanning (the client throws UNSUPPORTED when absent):
+//   getChainInfo()              { blocks, bestblockhash }
+//   getBlockHash(height)        block hash at height
+//   getBlockHeader(hash)        { hash, height, previousblockhash, ... }
+//   getRawBlock(hash)           raw block hex
+// Optional, for SPV proofs (spv.cjs):
+//   getRawBlockHeader(hash)     80-byte header hex
+//   getMerkleProof(txid)        { blockHash, index, nodes } (TSC branch) or null
+// Providers return null for "not found" and throw errors tagged by
+// errors.cjs for everything else.
+//
+// Confirmed transactions are cached on disk (lib/tx-cache.cjs) and checked
+// before any provider call. Set TX_CACHE=off to bypass; replay always does
+// so that recorded responses and injected faults are what the caller sees.
+
+const { chainError, isRetryable } = require('./errors.cjs');
+const { createTxCache, isConfirmed } = require('../tx-cache.cjs');
+const { parseTx } = require('../bsv-tx.cjs');
+const { createRateLimiter } = require('./rate-limiter.cjs');
+const { createWocProvider } = require('./providers/woc.cjs');
+const { createFixtureProvider } = require('./providers/fixture.cjs');
+const { createRecordProvider, createReplayProvider } = require('./providers/replay.cjs');
+const { createRpcProvider } = require('./providers/rpc.cjs');
+
+const PROVIDERS = {
+  woc: (opts) => createWocProvider(opts),
+  fixture: (opts) => createFixtureProvider(opts),
+  record: (opts) => createRecordProvider(opts),
+  replay: (opts) => createReplayProvider(opts),
+  rpc: (opts) => createRpcProvider(opts),
+};
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+function resolveProvider(spec, opts) {
+  if (spec && typeof spec === 'object') return spec;
+  const factory = PROVIDERS[spec];
+  if (!factory) throw new Error(`Unknown chain provider: ${spec} (known: ${Object.keys(PROVIDERS).join(', ')})`);
+  return factory(opts);
+}
+
+function createChainClient({
+  provider = process.env.CHAIN_PROVIDER || 'woc',
+  providerOptions = {},
+  retries = 3,
+  baseBackoffMs = 2000,   // 2s → 4s → 8s
+  timeoutMs = 30000,
+  delayMs = 300,          // adaptive: increases on throttle, decreases on success
+  minDelayMs = 200,
+  maxDelayMs = 3000,
+  burst = 1,
+  rateLimiter,            // pass one limiter to several clients to share a budget
+  txCache = process.env.TX_CACHE === 'off' || provider === 'replay' ? null : createTxCache(),
+  log = console.log,
+} = {}) {
+  const source = resolveProvider(provider, { timeoutMs, ...providerOptions });
+  const limiter = rateLimiter || createRateLimiter({ delayMs, minDelayMs, maxDelayMs, burst, log });
+  const stats = { calls: 0, retries: 0, throttles: 0, cacheHits: 0 };
+
+  // Run one provider call under the shared policy
+  async function call(fn) {
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire();
+      stats.calls++;
+      try {
+        const result = await fn();
+        limiter.onSuccess();
+        return result;
+      } catch (e) {
+        if (e.code === 'RATE_LIMITED') { stats.throttles++; limiter.onThrottle(); }
+        if (!isRetryable(e) || attempt >= retries) throw e;
+        stats.retries++;
+        await sleep(baseBackoffMs * Math.pow(2, attempt));
+      }
+    }
+  }
+
+  // Confirmed txs are served from the on-disk cache when present; on a miss the
+  // raw hex is stored alongside so `tx-cache.cjs verify` can re-hash it.
+  // Entries written by bulk fetches hold only block metadata, so getTx (which
+  // promises decoded JSON) uses them only when they carry outputs.
+  async function getTx(txid) {
+    const cached = txCache && txCache.get(txid);
+    if (cached && cached.tx.vout) { stats.cacheHits++; return cached.tx; }
+    const tx = await call(() => source.getTx(txid));
+    if (txCache && isConfirmed(tx)) {
+      const hex = tx.hex || await call(() => source.getRawTx(txid));
+      txCache.put(txid, { hex, tx });
+    }
+    return tx;
+  }
+
+  async function getRawTx(txid) {
+    const cached = txCache && txCache.get(txid);
+    if (cached && cached.hex) { stats.cacheHits++; return cached.hex; }
+    return call(() => source.getRawTx(txid));
+  }
+
+  function toParsed(txid, hex, meta) {
+    const parsed = parseTx(hex);
+    if (parsed.txid !== txid) throw new Error(`Raw tx hashes to ${parsed.txid}, expected ${txid}`);
+    return { ...parsed, blockheight: meta.blockheight, blockhash: meta.blockhash, time: meta.blocktime ?? meta.time };
+  }
+
+  // Tx parsed locally from raw hex (lib/bsv-tx.cjs), plus block metadata
+  async function getParsedTx(txid) {
+    const cached = txCache && txCache.get(txid);
+    if (cached && cached.hex) { stats.cacheHits++; return toParsed(txid, cached.hex, cached.tx); }
+    const tx = await getTx(txid);
+    if (!tx) return null;
+    const hex = tx.hex || await getRawTx(txid);
+    if (!hex) return null;
+    return toParsed(txid, hex, tx);
+  }
+
+  // ── Bulk lookups ──
+  // One provider request per `bulkLimit` items where the provider supports it,
+  // one call per item otherwise. Results come back in request order.
+
+  async function getParsedTxs(txids) {
+    const results = new Map();
+    const missing = [];
+    for (const txid of new Set(txids)) {
+      const cached = txCache && txCache.get(txid);
+      if (cached && cached.hex) { stats.cacheHits++; results.set(txid, toParsed(txid, cached.hex, cached.tx)); }
+      else missing.push(txid);
+    }
+
+    if (typeof source.getRawTxs === 'function') {
+      for (const batch of chunk(missing, source.bulkLimit || 20)) {
+        const rows = await call(() => source.getRawTxs(batch));
+        for (let i = 0; i < batch.length; i++) {
+          const row = rows[i];
+          if (!row) continue; // not in the bulk answer, fetched singly below
+          const meta = { txid: batch[i], blockhash: row.blockhash, blockheight: row.blockheight, blocktime: row.blocktime, confirmations: row.confirmations };
+          if (txCache && isConfirmed(meta)) txCache.put(batch[i], { hex: row.hex, tx: meta });
+          results.set(batch[i], toParsed(batch[i], row.hex, meta));
+        }
+      }
+    }
+
+    for (const txid of missing) {
+      if (!results.has(txid)) results.set(txid, await getParsedTx(txid));
+    }
+    return txids.map(txid => results.get(txid));
+  }
+
+  // Spending txid per outpoint, null if unspent, undefined if the lookup
+  // failed (callers fall back to getSpender for those).
+  async function getSpenders(outpoints) {
+    const out = [];
+    if (typeof source.getSpenders === 'function') {
+      for (const batch of chunk(outpoints, source.bulkLimit || 20)) {
+        out.push(...await call(() => source.getSpenders(batch)));
+      }
+      return out;
+    }
+    for (const { txid, vout } of outpoints) {
+      try { out.push(await call(() => source.getSpender(txid, vout))); }
+      catch { out.push(undefined); }
+    }
+    return out;
+  }
+
+  function optional(method) {
+    return (...args) => {
+      if (typeof source[method] !== 'function') {
+        return Promise.reject(chainError('UNSUPPORTED', `Provider ${source.name} has no ${method}`));
+      }
+      return call(() => source[method](...args));
+    };
+  }
+
+  return {
+    provider: source,
+    txCache,
+    stats,
+    limiter,
+    get delayMs() { return limiter.delayMs; },
+    getTx,
+    getRawTx,
+    getParsedTx,
+    getParsedTxs,
+    getSpenders,
+    getSpender: (txid, vout) => call(() => source.getSpender(txid, vout)),
+    getAddressHistory: (address) => call(() => source.getAddressHistory(address)),
+    getChainInfo: optional('getChainInfo'),
+    getBlockHash: optional('getBlockHash'),
+    getBlockHeader: optional('getBlockHeader'),
+    getRawBlock: optional('getRawBlock'),
+    getRawBlockHeader: optional('getRawBlockHeader'),
+    getMerkleProof: optional('getMerkleProof'),
+  };
+}
+
+module.exports = { createChainClient, PROVIDERS, sleep };
@@ -0,0 +1,30 @@
+'use strict';
+
+// Errors raised by chain providers. Providers tag every failure with a `code`
+// so the client can decide whether to retry without parsing messages.
+//
+//   RATE_LIMITED     provider answered 429 (or its equivalent)
+//   TIMEOUT          no response within the configured timeout
+//   HTTP             any other non-200/404 response (err.status holds the code)
+//   RPC              JSON-RPC level error from a node
+//   FIXTURE_MISSING  replay asked for a response that was never recorded
+//   SPENT_UNINDEXED  node says spent, but the local spent index has no spender
+//   UNSUPPORTED      provider cannot answer this kind of query
+
+function chainError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH']);
+
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.code === 'RATE_LIMITED' || err.code === 'TIMEOUT') return true;
+  if (err.code === 'HTTP') return err.status >= 500;
+  return NETWORK_CODES.has(err.code);
+}
+
+module.exports = { chainError, isRetryable };
@@ -0,0 +1,47 @@
+'use strict';
+
+// Local fixture provider: serves WhatsOnChain-shaped responses from a directory.
+// Each endpoint maps to a file, e.g. /tx/hash/<txid> → <dir>/tx/hash/<txid>.json.
+// An empty <endpoint>.404 marker records a 404. In strict mode a request with
+// neither file fails loudly (replay); otherwise it answers 404 (fixture).
+// POSTs (bulk endpoints) are keyed by a hash of the body:
+// /txs/hex + { txids } → <dir>/txs/hex/<sha256 prefix>.json.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createWocProvider } = require('./woc.cjs');
+const { chainError } = require('../errors.cjs');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', '..', 'fixtures');
+
+function endpointToFile(dir, endpoint, ext = '.json') {
+  const clean = endpoint.split('?')[0].replace(/^\/+/, '');
+  const file = path.resolve(dir, clean + ext);
+  if (!file.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Bad fixture endpoint: ${endpoint}`);
+  return file;
+}
+
+function requestKey(endpoint, payload) {
+  if (payload === undefined) return endpoint;
+  const digest = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  return `${endpoint}/${digest.slice(0, 16)}`;
+}
+
+function fileTransport(dir, { strict = false } = {}) {
+  return async (endpoint, payload) => {
+    const key = requestKey(endpoint, payload);
+    const file = endpointToFile(dir, key);
+    if (fs.existsSync(file)) return { status: 200, body: fs.readFileSync(file, 'utf8') };
+    if (strict && !fs.existsSync(endpointToFile(dir, key, '.404'))) {
+      throw chainError('FIXTURE_MISSING', `No recorded response for ${key} in ${dir}`);
+    }
+    return { status: 404, body: '' };
+  };
+}
+
+function createFixtureProvider({ dir = process.env.CHAIN_FIXTURES || DEFAULT_DIR } = {}) {
+  return createWocProvider({ name: 'fixture', transport: fileTransport(dir) });
+}
+
+module.exports = { createFixtureProvider, fileTransport, endpointToFile, requestKey, DEFAULT_DIR };
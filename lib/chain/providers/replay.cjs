@@ -0,0 +1,97 @@
+'use strict';
+
+// Record/replay for WhatsOnChain traffic.
+//
+// record  Talks to WoC over HTTPS and writes every 200 body to
+//         <dir>/<endpoint>.json and every 404 as an empty <endpoint>.404
+//         marker (the fixture layout). All requests, including 429s and
+//         errors, are appended to <dir>/_requests.ndjson.
+// replay  Serves the recorded responses back. A request that was never
+//         recorded throws FIXTURE_MISSING instead of silently answering 404.
+//
+// Replay can inject faults so retry and throttle paths are testable offline:
+//   [{ "match": "/tx/hash/abcd", "status": 429, "times": 2 },
+//    { "match": "/\\/spent$/", "status": "timeout" },
+//    { "match": "/tx/hash/ef01", "status": 404 }]
+// `match` is a substring of the endpoint, or a regular expression written
+// as "/pattern/flags" (or a RegExp, passed in code); `times`
+// (default: every time) limits how often the fault fires. Faults come from
+// the `faults` option, CHAIN_FAULTS (JSON) or <dir>/faults.json.
+
+const fs = require('fs');
+const path = require('path');
+const { createWocProvider, httpsTransport } = require('./woc.cjs');
+const { fileTransport, endpointToFile, requestKey, DEFAULT_DIR } = require('./fixture.cjs');
+const { chainError } = require('../errors.cjs');
+
+function fixtureDir(dir) {
+  return dir || process.env.CHAIN_FIXTURES || DEFAULT_DIR;
+}
+
+// ── Record ──────────────────────────────────────────────────────────────────
+function recordingTransport(dir, inner) {
+  const logPath = path.join(dir, '_requests.ndjson');
+  fs.mkdirSync(dir, { recursive: true });
+
+  function write(file, body) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body);
+  }
+
+  return async (endpoint, payload) => {
+    const key = requestKey(endpoint, payload);
+    const started = Date.now();
+    let res;
+    try {
+      res = await inner(endpoint, payload);
+    } catch (e) {
+      fs.appendFileSync(logPath, JSON.stringify({ endpoint: key, payload, error: e.code || e.message, ms: Date.now() - started }) + '\n');
+      throw e;
+    }
+    if (res.status === 200) write(endpointToFile(dir, key), res.body);
+    else if (res.status === 404) write(endpointToFile(dir, key, '.404'), '');
+    fs.appendFileSync(logPath, JSON.stringify({ endpoint: key, payload, status: res.status, ms: Date.now() - started }) + '\n');
+    return res;
+  };
+}
+
+function createRecordProvider({ dir, ...transportOpts } = {}) {
+  const transport = recordingTransport(fixtureDir(dir), httpsTransport(transportOpts));
+  return createWocProvider({ name: 'record', transport });
+}
+
+// ── Replay ──────────────────────────────────────────────────────────────────
+function loadFaults(dir) {
+  if (process.env.CHAIN_FAULTS) return JSON.parse(process.env.CHAIN_FAULTS);
+  const file = path.join(dir, 'faults.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+// A fault's `match` as a test on the endpoint
+function endpointMatcher(match) {
+  if (match instanceof RegExp) return (endpoint) => match.test(endpoint);
+  const literal = /^\/(.+)\/([dgimsuy]*)$/.exec(match);
+  if (!literal) return (endpoint) => endpoint.includes(match);
+  const re = new RegExp(literal[1], literal[2]);
+  return (endpoint) => re.test(endpoint);
+}
+
+function faultInjector(faults, inner) {
+  const rules = faults.map(f => ({ ...f, test: endpointMatcher(f.match), remaining: f.times ?? Infinity }));
+
+  return async (endpoint, payload) => {
+    const rule = rules.find(r => r.remaining > 0 && r.test(endpoint));
+    if (!rule) return inner(endpoint, payload);
+    rule.remaining--;
+    if (rule.status === 'timeout') throw chainError('TIMEOUT', `Injected timeout: ${endpoint}`);
+    return { status: rule.status, body: rule.body || '' };
+  };
+}
+
+function createReplayProvider({ dir, faults } = {}) {
+  const root = fixtureDir(dir);
+  const transport = faultInjector(faults || loadFaults(root), fileTransport(root, { strict: true }));
+  return createWocProvider({ name: 'replay', transport });
+}
+
+module.exports = { createRecordProvider, createReplayProvider, recordingTransport, faultInjector };
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createChainClient } = require('../client.cjs');
+const { traceNFT } = require('../../trace.cjs');
+const { jigStates } = require('../../jig-state.cjs');
+
+// A session recorded through the record transport over a hand-built chain
+// (see README, Tests): NFT #1 minted, sent to `holder`, then sent on to
+// `third` in a tx still in the mempool
+const SESSION = path.join(__dirname, '..', '..', '..', 'test', 'fixtures', 'replay', 'constructed');
+const S = require(path.join(SESSION, 'session.json'));
+const MINT = S.mints[1];
+
+const replay = (faults) => createChainClient({
+  provider: 'replay',
+  providerOptions: { dir: SESSION, faults: faults || [] },
+  delayMs: 0,
+  minDelayMs: 0,
+  baseBackoffMs: 1,
+  log: () => {},
+});
+
+const ledger = () => ({
+  nfts: { 1: { number: 1, mintTxid: MINT, jigRef: `${MINT}_o3`, transfers: [] } },
+  owners: {},
+});
+
+test('replays an ownership trace into confirmed and pending transfers', async () => {
+  const result = await traceNFT(ledger(), replay(), 1);
+
+  assert.deepEqual(result.transfers.map(t => [t.txid, t.type, t.to, t.confirmed]), [
+    [MINT, 'mint', S.minter, undefined],
+    [S.send, 'send', S.holder, true],
+    [S.pendingSend, 'send', S.third, false],
+  ]);
+  assert.equal(result.transfers[1].blockHeight, 771420);
+  assert.ok(result.transfers.slice(1).every(t => t.confidence === 'run' && t.class === 'send'));
+  assert.equal(result.owner, S.holder);
+  assert.equal(result.pendingOwner, S.third);
+  assert.equal(result.lastTx, S.pendingSend);
+  assert.equal(result.lastVout, 1);
+  assert.equal(result.hops, 2);
+});
+
+test('replays the jig states along the same path', async () => {
+  const states = await jigStates(replay(), { mintTxid: MINT, jigRef: `${MINT}_o3`, lastTx: S.pendingSend });
+
+  assert.deepEqual(states.map(s => [s.location, s.nonce, s.owner, s.confirmed]), [
+    [`${MINT}_o3`, 1, S.minter, true],
+    [`${S.send}_o1`, 2, S.holder, true],
+    [`${S.pendingSend}_o1`, 3, S.third, false],
+  ]);
+  assert.deepEqual(states[0].class, {
+    location: '12d8ca4bc0eaf26660627cc1671de6a0047246f39f3aa06633f8204223d70cc5_o2',
+    via: 'CALL',
+    method: 'mint',
+  });
+  assert.deepEqual(states[2].calls, [{ op: 'CALL', method: 'send', args: [S.third] }]);
+});
+
+test('retries injected faults and ends with the same trace', async () => {
+  const chain = replay([
+    { match: '/\\/spent$/', status: 'timeout', times: 1 },
+    { match: `/tx/hash/${S.send}`, status: 429, times: 2 },
+  ]);
+  const result = await traceNFT(ledger(), chain, 1);
+
+  assert.equal(chain.stats.retries, 3);
+  assert.equal(chain.stats.throttles, 2);
+  assert.equal(result.owner, S.holder);
+  assert.equal(result.pendingOwner, S.third);
+});
+
+test('fails loudly on a request the session did not record', async () => {
+  await assert.rejects(replay().getParsedTx('00'.repeat(32)), { code: 'FIXTURE_MISSING' });
+});
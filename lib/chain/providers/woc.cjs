@@ -0,0 +1,116 @@
+'use strict';
+
+// WhatsOnChain provider. All endpoint knowledge lives here; the HTTP layer is a
+// swappable transport so the same provider can read from fixtures on disk.
+
+const https = require('https');
+const { chainError } = require('../errors.cjs');
+const { serializeBlockHeader } = require('../../bsv-tx.cjs');
+
+const WOC_BASE = 'https://api.whatsonchain.com/v1/bsv/main';
+
+const BULK_LIMIT = 20; // max items per WoC bulk request
+
+// ── Transports ──────────────────────────────────────────────────────────────
+// A transport takes an endpoint ('/tx/hash/<txid>') and, for POSTs, a JSON
+// body, and resolves to { status, body } with the body as a raw string.
+
+function httpsTransport({ base = WOC_BASE, timeoutMs = 30000, agent = new https.Agent({ keepAlive: false }) } = {}) {
+  return (endpoint, payload) => new Promise((resolve, reject) => {
+    const headers = { Accept: 'application/json' };
+    const data = payload === undefined ? null : JSON.stringify(payload);
+    if (data) Object.assign(headers, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+    const req = https.request(base + endpoint, { method: data ? 'POST' : 'GET', headers, timeout: timeoutMs, agent }, res => {
+      let d = '';
+      res.on('data', c => d += c);
+      res.on('end', () => resolve({ status: res.statusCode, body: d }));
+    });
+    req.on('timeout', () => { req.destroy(); reject(chainError('TIMEOUT', `WoC timeout: ${endpoint}`)); });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+// ── Provider ────────────────────────────────────────────────────────────────
+function createWocProvider({ name = 'woc', transport, ...transportOpts } = {}) {
+  const send = transport || httpsTransport(transportOpts);
+
+  // 200 → parsed body, 404 → null, everything else throws a tagged error
+  async function get(endpoint, { raw = false, payload } = {}) {
+    const { status, body } = await send(endpoint, payload);
+    if (status === 200) {
+      if (raw) return String(body).trim();
+      try { return JSON.parse(body); } catch { return body; }
+    }
+    if (status === 404) return null;
+    if (status === 429) throw chainError('RATE_LIMITED', `WoC 429: ${endpoint}`);
+    throw chainError('HTTP', `WoC ${status}: ${String(body).slice(0, 100)}`, { status });
+  }
+
+  const post = (endpoint, payload) => get(endpoint, { payload });
+
+  // Bulk raw txs: [{ txid, hex, blockhash, blockheight, blocktime, confirmations }]
+  // in request order, null for txs WoC does not know.
+  async function getRawTxs(txids) {
+    const rows = await post('/txs/hex', { txids }) || [];
+    const byTxid = new Map(rows.filter(r => r && r.hex && !r.error).map(r => [r.txid, r]));
+    return txids.map(txid => byTxid.get(txid) || null);
+  }
+
+  // Bulk spent lookups: spending txid, null if unspent, undefined if WoC
+  // reported an error for that outpoint (caller falls back to getSpender).
+  async function getSpenders(outpoints) {
+    const rows = await post('/utxos/spent', { utxos: outpoints.map(({ txid, vout }) => ({ txid, vout })) }) || [];
+    const byKey = new Map(rows.filter(r => r && r.utxo).map(r => [`${r.utxo.txid}:${r.utxo.vout}`, r]));
+    return outpoints.map(({ txid, vout }) => {
+      const row = byKey.get(`${txid}:${vout}`);
+      if (!row) return undefined;
+      if (row.spentIn && row.spentIn.txid) return row.spentIn.txid;
+      if (!row.error || /unspent/i.test(row.error)) return null;
+      return undefined;
+    });
+  }
+
+  return {
+    name,
+    bulkLimit: BULK_LIMIT,
+    get,
+    post,
+    getTx: (txid) => get(`/tx/hash/${txid}`),
+    getRawTx: (txid) => get(`/tx/${txid}/hex`, { raw: true }),
+    async getSpender(txid, vout) {
+      const result = await get(`/tx/${txid}/${vout}/spent`);
+      return result && result.txid ? result.txid : null;
+    },
+    getAddressHistory: (address) => get(`/address/${address}/history`),
+    getRawTxs,
+    getSpenders,
+    getChainInfo: () => get('/chain/info'),
+    async getBlockHash(height) {
+      const block = await get(`/block/height/${height}`);
+      return block ? block.hash : null;
+    },
+    getBlockHeader: (hash) => get(`/block/hash/${hash}`),
+    async getRawBlockHeader(hash) {
+      const h = await get(`/block/hash/${hash}`);
+      if (!h) return null;
+      return serializeBlockHeader({
+        version: h.version,
+        prevHash: h.previousblockhash,
+        merkleRoot: h.merkleroot,
+        time: h.time,
+        bits: h.bits,
+        nonce: h.nonce,
+      });
+    },
+    // TSC merkle proof: { blockHash, index, nodes } or null if unconfirmed/unknown
+    async getMerkleProof(txid) {
+      const rows = await get(`/tx/${txid}/proof/tsc`);
+      const proof = Array.isArray(rows) ? rows[0] : rows;
+      if (!proof || !proof.target) return null;
+      return { blockHash: proof.target, index: proof.index, nodes: proof.nodes };
+    },
+  };
+}
+
+module.exports = { createWocProvider, httpsTransport, WOC_BASE, BULK_LIMIT };
@@ -0,0 +1,48 @@
+'use strict';
+
+// Shared token-bucket rate limiter (GCRA form) with adaptive spacing.
+// Every call through a chain client takes a slot here, so any number of
+// concurrent workers together stay within one request budget.
+//
+// The spacing between slots is the same adaptive delay the scripts always
+// used: doubled on a 429 (onThrottle), eased back by 50ms per success
+// (onSuccess), kept within [minDelayMs, maxDelayMs]. `burst` slots may be taken
+// back to back after an idle period.
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function createRateLimiter({
+  delayMs = 300,
+  minDelayMs = 200,
+  maxDelayMs = 3000,
+  burst = 1,
+  log = console.log,
+} = {}) {
+  let interval = delayMs;
+  let tat = 0; // theoretical arrival time of the next slot
+
+  async function acquire() {
+    const now = Date.now();
+    tat = Math.max(tat, now) + interval;
+    const wait = tat - burst * interval - now;
+    if (wait > 0) await sleep(wait);
+  }
+
+  function onSuccess() {
+    if (interval > minDelayMs) interval = Math.max(minDelayMs, interval - 50);
+  }
+
+  function onThrottle() {
+    interval = Math.min(maxDelayMs, interval * 2);
+    log(`[throttle] delay increased to ${interval}ms`);
+  }
+
+  return {
+    acquire,
+    onSuccess,
+    onThrottle,
+    get delayMs() { return interval; },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,108 @@
+'use strict';
+
+// Transaction classification: what a tx did to the NFT jig it spends, for the
+// activity history. Every class comes with the evidence it rests on, each
+// item { source: 'run' | 'script', fact }:
+//   'run'     the Run payload (lib/run.cjs) — jig inputs, deletes, CALLs on the jig
+//   'script'  the locking scripts the jig left and arrived in, and the
+//             payment outputs of the tx
+// Classes:
+//   mint            the tx that created the jig
+//   send            P2PKH to P2PKH
+//   list            P2PKH into an OrderLock (lib/orderlock.cjs)
+//   cancel-listing  OrderLock back to the seller
+//   purchase        OrderLock to another address, in a tx that pays the lock's
+//                   pay output (price to payTo)
+//   re-list         OrderLock into a new OrderLock
+//   burn-by-sweep   the jig's output spent outside Run's jig inputs (a wallet
+//                   sweep or consolidation): the jig is lost
+//   melt            the Run payload deletes the jig
+//   unknown         the evidence fits none of the above
+
+const { tryDecodeRun } = require('./run.cjs');
+
+const fact = (source, text) => ({ source, fact: text });
+
+// What tryDecodeRun found, when it is not a decoded payload
+const missingRun = (error) => fact('run', error ? `invalid Run payload: ${error.message}` : 'no Run payload');
+
+// Run evidence about the jig at `spent`: its input position and what the tx
+// did to it. Without `spent`, only a single jig input can be assumed to be it.
+function runFacts(tx, { run, error }, spent) {
+  if (!run) return { facts: [missingRun(error)], index: -1, run };
+  let index = -1;
+  if (spent) index = tx.inputs.findIndex(i => i.txid === spent.txid && i.vout === spent.vout);
+  else if (run.in === 1) index = 0;
+  const loc = run.inputs[index];
+  if (index < 0 || index >= run.in) {
+    return { facts: [fact('run', `the jig's output is not among the tx's ${run.in} jig inputs`)], index, run };
+  }
+  const facts = [fact('run', `jig input ${index} of ${run.in}`)];
+  for (const e of run.exec) {
+    if (e.op === 'CALL' && e.jig?.kind === 'input' && e.jig.location === loc) facts.push(fact('run', `CALL ${e.method} on the jig`));
+  }
+  if (run.del.length > 0) facts.push(fact('run', `deletes ${run.del.length} of ${run.in} jig inputs`));
+  return { facts, index, run };
+}
+
+const payee = (addr) => addr || 'a non-address script';
+
+// The mint tx, with the jig at output `vout`
+function classifyMint(tx, vout) {
+  const { run, error } = tryDecodeRun(tx);
+  const evidence = [];
+  const op = run?.exec.find(e => e.op === 'NEW' || (e.op === 'CALL' && e.method === 'mint'));
+  if (op) evidence.push(fact('run', op.op === 'NEW' ? 'NEW creates the jig' : 'CALL mint'));
+  if (run) evidence.push(fact('run', `creates ${run.cre.length} jig${run.cre.length === 1 ? '' : 's'}`));
+  else evidence.push(missingRun(error));
+  const out = tx.outputs[vout];
+  if (out) evidence.push(fact('script', `jig output ${vout} pays ${payee(out.address)}`));
+  return { class: 'mint', evidence };
+}
+
+// A tx spending the jig's output `spent` ({ txid, vout }, undefined if unknown).
+//   jig      where it went: locateJig(tx, spent) (lib/jig.cjs)
+//   owner    the holder before the tx
+//   listing  the 'list' transfer the jig sat in (seller, price, payTo), or
+//            null when it was not in an OrderLock
+function classifySpend(tx, { spent, jig, owner, listing = null }) {
+  const { facts, index, run } = runFacts(tx, tryDecodeRun(tx), spent);
+  const evidence = [...facts];
+  const result = (cls) => ({ class: cls, evidence });
+
+  if (listing) {
+    evidence.push(fact('script', listing.price != null
+      ? `spends an OrderLock by ${listing.seller} asking ${listing.price} sats to ${payee(listing.payTo)}`
+      : 'spends an OrderLock that did not decode'));
+  } else {
+    evidence.push(fact('script', `spends an output of ${payee(owner)}`));
+  }
+
+  if (jig.burned) {
+    if (run && index >= 0 && index < run.in && run.del.length > 0) return result('melt');
+    evidence.push(fact('script', 'no output carries the jig'));
+    return result(!run || index < 0 || index >= run.in ? 'burn-by-sweep' : 'unknown');
+  }
+
+  const out = tx.outputs[jig.vout];
+  if (jig.isOrderLock) {
+    evidence.push(fact('script', `jig output ${jig.vout} is an OrderLock`));
+    return result(listing ? 're-list' : 'list');
+  }
+  evidence.push(fact('script', `jig output ${jig.vout} pays ${payee(out.address)}`));
+  if (!listing) return result('send');
+
+  const seller = listing.seller ?? owner;
+  if (jig.addr && jig.addr === seller) return result('cancel-listing');
+  if (listing.price != null && listing.payTo) {
+    const paid = tx.outputs.find(o => o.address === listing.payTo && o.satoshis >= listing.price);
+    if (paid) {
+      evidence.push(fact('script', `output ${paid.n} pays ${paid.satoshis} sats to ${listing.payTo}`));
+      return result('purchase');
+    }
+    evidence.push(fact('script', `no output pays ${listing.price} sats to ${listing.payTo}`));
+  }
+  return result('unknown');
+}
+
+module.exports = { classifyMint, classifySpend };
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createChainClient } = require('./chain/client.cjs');
+const { classifyMint, classifySpend } = require('./classify.cjs');
+const { locateJig } = require('./jig.cjs');
+const { listingFields } = require('./orderlock.cjs');
+
+// Txs from the replay session over a hand-built chain (see README, Tests)
+const SESSION = path.join(__dirname, '..', 'test', 'fixtures', 'replay', 'constructed');
+const S = require(path.join(SESSION, 'session.json'));
+
+const chain = createChainClient({ provider: 'replay', providerOptions: { dir: SESSION }, delayMs: 0, minDelayMs: 0, log: () => {} });
+const tx = (txid) => chain.getParsedTx(txid);
+
+// classifySpend as the indexers call it: the jig located from the spent output
+async function classify(txid, spent, { owner = S.minter, listing = null } = {}) {
+  const spending = await tx(txid);
+  return classifySpend(spending, { spent, jig: locateJig(spending, spent), owner, listing });
+}
+
+const facts = (result) => result.evidence.map(e => e.fact);
+
+// The listing #2 sat in, as its 'list' transfer records it
+async function listing2() {
+  const list = await tx(S.list);
+  return listingFields(list.outputs[1]);
+}
+
+test('mint: the tx that created the jig', async () => {
+  const result = classifyMint(await tx(S.mints[1]), 3);
+  assert.equal(result.class, 'mint');
+  assert.deepEqual(facts(result), ['CALL mint', 'creates 1 jig', `jig output 3 pays ${S.minter}`]);
+});
+
+test('send: P2PKH to P2PKH', async () => {
+  const result = await classify(S.send, { txid: S.mints[1], vout: 3 });
+  assert.equal(result.class, 'send');
+  assert.deepEqual(facts(result), [
+    'jig input 0 of 1',
+    'CALL send on the jig',
+    `spends an output of ${S.minter}`,
+    `jig output 1 pays ${S.holder}`,
+  ]);
+});
+
+test('send: guessed without a Run payload', async () => {
+  const result = await classify(S.move, { txid: S.mints[3], vout: 3 });
+  assert.equal(result.class, 'send');
+  assert.deepEqual(result.evidence[0], { source: 'run', fact: 'no Run payload' });
+});
+
+test('list: into an OrderLock', async () => {
+  const result = await classify(S.list, { txid: S.mints[2], vout: 3 });
+  assert.equal(result.class, 'list');
+  assert.ok(facts(result).includes('jig output 1 is an OrderLock'));
+});
+
+test('purchase: out of an OrderLock, paying its price', async () => {
+  const listing = await listing2();
+  const result = await classify(S.purchase, { txid: S.list, vout: 1 }, { listing });
+  assert.equal(result.class, 'purchase');
+  assert.deepEqual(facts(result).slice(-3), [
+    `spends an OrderLock by ${S.minter} asking 50000 sats to ${S.minter}`,
+    `jig output 1 pays ${S.buyer}`,
+    `output 2 pays 50000 sats to ${S.minter}`,
+  ]);
+});
+
+test('cancel-listing: out of an OrderLock to its seller', async () => {
+  // The same spend, had the lock been the buyer's own listing
+  const listing = { ...await listing2(), seller: S.buyer };
+  const result = await classify(S.purchase, { txid: S.list, vout: 1 }, { listing });
+  assert.equal(result.class, 'cancel-listing');
+});
+
+test('re-list: from one OrderLock into another', async () => {
+  // The listing tx, had the jig already been in an OrderLock
+  const result = await classify(S.list, { txid: S.mints[2], vout: 3 }, { listing: await listing2() });
+  assert.equal(result.class, 're-list');
+});
+
+test('burn-by-sweep: spent outside the Run inputs', async () => {
+  const result = await classify(S.sweep, { txid: S.move, vout: 1 }, { owner: S.holder });
+  assert.equal(result.class, 'burn-by-sweep');
+  assert.deepEqual(facts(result), ['no Run payload', `spends an output of ${S.holder}`, 'no output carries the jig']);
+});
+
+test('melt: deleted by the Run payload', async () => {
+  // The send, with a payload that destroys its only jig input
+  const spending = await tx(S.send);
+  const out = spending.outputs[0];
+  const payload = { in: 1, ref: [], out: [], del: ['aa'.repeat(32)], cre: [], exec: [{ op: 'CALL', data: [{ $jig: 0 }, 'destroy', []] }] };
+  out.chunks = out.chunks.map((c, i) => i === out.chunks.length - 1 ? { ...c, buf: Buffer.from(JSON.stringify(payload)) } : c);
+  const spent = { txid: S.mints[1], vout: 3 };
+  const result = classifySpend(spending, { spent, jig: locateJig(spending, spent), owner: S.minter });
+  assert.equal(result.class, 'melt');
+  assert.ok(facts(result).includes('deletes 1 of 1 jig inputs'));
+});
+
+test('unknown: out of an OrderLock without paying', async () => {
+  // Out of a listing to another address without paying its price
+  const listing = { ...await listing2(), price: 900000 };
+  const result = await classify(S.purchase, { txid: S.list, vout: 1 }, { listing });
+  assert.equal(result.class, 'unknown');
+  assert.equal(facts(result).at(-1), `no output pays 900000 sats to ${S.minter}`);
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+// Flat tables of the ledger for analysis tools, in CSV, NDJSON or Parquet.
+//   nfts       one row per NFT: number, mintTxid, trait_<type>..., owner, burned, lastTx
+//   transfers  one row per nft.transfers entry, in order (seq); listings add seller,
+//              price, payTo and purchases seller, price, blockTime
+//   holders    one row per address in the owners index, with its NFT numbers
+// Parquet goes through hyparquet-writer, an ES module, loaded on first use.
+
+const TABLES = {
+  nfts: (ledger) => {
+    const traitTypes = [...new Set(Object.values(ledger.nfts).flatMap(n => Object.keys(n.traits || {})))].sort();
+    const columns = [
+      { name: 'number', type: 'INT32' },
+      { name: 'mintTxid', type: 'STRING' },
+      ...traitTypes.map(t => ({ name: `trait_${t}`, type: 'STRING' })),
+      { name: 'owner', type: 'STRING' },
+      { name: 'burned', type: 'BOOLEAN' },
+      { name: 'lastTx', type: 'STRING' },
+    ];
+    const rows = sortedNums(ledger).map(num => {
+      const nft = ledger.nfts[num];
+      const row = { number: num, mintTxid: nft.mintTxid ?? null };
+      for (const t of traitTypes) row[`trait_${t}`] = nft.traits?.[t] ?? null;
+      return { ...row, owner: nft.owner ?? null, burned: !!nft.burned, lastTx: nft.lastTx ?? null };
+    });
+    return { columns, rows };
+  },
+
+  transfers: (ledger) => {
+    const columns = [
+      { name: 'number', type: 'INT32' },
+      { name: 'seq', type: 'INT32' },
+      { name: 'txid', type: 'STRING' },
+      { name: 'type', type: 'STRING' },
+      { name: 'class', type: 'STRING' },
+      { name: 'from', type: 'STRING' },
+      { name: 'to', type: 'STRING' },
+      { name: 'seller', type: 'STRING' }, // listings and purchases: seller, price (satoshis); listings: payTo
+      { name: 'price', type: 'DOUBLE' },
+      { name: 'payTo', type: 'STRING' },
+      { name: 'blockHeight', type: 'INT32' },
+      { name: 'blockHash', type: 'STRING' },
+      { name: 'blockTime', type: 'INT32' },
+      { name: 'confirmed', type: 'BOOLEAN' },
+      { name: 'confidence', type: 'STRING' },
+    ];
+    const rows = sortedNums(ledger).flatMap(num => (ledger.nfts[num].transfers || []).map((t, seq) => ({
+      number: num,
+      seq,
+      txid: t.txid,
+      type: t.type,
+      class: t.class ?? null,
+      from: t.from ?? null,
+      to: t.to ?? null,
+      seller: t.seller ?? null,
+      price: t.price ?? null,
+      payTo: t.payTo ?? null,
+      blockHeight: t.blockHeight ?? null,
+      blockHash: t.blockHash ?? null,
+      blockTime: t.blockTime ?? null,
+      confirmed: t.confirmed !== false, // absent = confirmed (older ledgers)
+      confidence: t.confidence ?? null,
+    })));
+    return { columns, rows };
+  },
+
+  holders: (ledger) => {
+    const columns = [
+      { name: 'address', type: 'STRING' },
+      { name: 'count', type: 'INT32' },
+      { name: 'nfts', type: 'LIST' }, // NFT numbers
+    ];
+    const rows = Object.entries(ledger.owners)
+      .filter(([_, nums]) => nums.length > 0)
+      .map(([address, nums]) => ({ address, count: nums.length, nfts: [...nums].sort((a, b) => a - b) }))
+      .sort((a, b) => b.count - a.count || a.address.localeCompare(b.address));
+    return { columns, rows };
+  },
+};
+
+const FORMATS = {
+  csv: { ext: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { ext: 'ndjson', contentType: 'application/x-ndjson' },
+  parquet: { ext: 'parquet', contentType: 'application/vnd.apache.parquet' },
+};
+
+function sortedNums(ledger) {
+  return Object.keys(ledger.nfts).map(Number).sort((a, b) => a - b);
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const s = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv({ columns, rows }) {
+  const lines = [columns.map(c => csvField(c.name)).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvField(row[c.name])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+function toNdjson({ rows }) {
+  return rows.map(r => JSON.stringify(r)).join('\n') + (rows.length ? '\n' : '');
+}
+
+async function toParquet({ columns, rows }) {
+  const { parquetWriteBuffer } = await import('hyparquet-writer');
+  const columnData = columns.map(c => c.type === 'LIST'
+    // Parquet lists need an explicit nested schema; a space-separated string reads everywhere
+    ? { name: c.name, type: 'STRING', data: rows.map(r => r[c.name].join(' ')) }
+    : { name: c.name, type: c.type, data: rows.map(r => r[c.name]) });
+  return Buffer.from(parquetWriteBuffer({ columnData }));
+}
+
+function exportError(message) {
+  const err = new Error(message);
+  err.code = 'EXPORT_INVALID';
+  return err;
+}
+
+// Only the tables and formats defined here, never inherited keys
+// ('constructor', '__proto__') or non-strings (?table=a&table=b)
+const isTable = (table) => typeof table === 'string' && Object.hasOwn(TABLES, table);
+const isFormat = (format) => typeof format === 'string' && Object.hasOwn(FORMATS, format);
+
+// The table rendered in the format: a string (csv, ndjson) or a Buffer (parquet)
+async function exportTable(ledger, table, format) {
+  if (!isTable(table)) throw exportError(`Unknown table: ${table} (expected ${Object.keys(TABLES).join(' | ')})`);
+  if (!isFormat(format)) throw exportError(`Unknown format: ${format} (expected ${Object.keys(FORMATS).join(' | ')})`);
+  const data = TABLES[table](ledger);
+  if (format === 'csv') return toCsv(data);
+  if (format === 'ndjson') return toNdjson(data);
+  return toParquet(data);
+}
+
+module.exports = { exportTable, isTable, isFormat, TABLES, FORMATS };
@@ -0,0 +1,95 @@
+'use strict';
+
+// Point-in-time ownership, answered by replaying nft.transfers up to a block
+// height; listings leave the owner as it was. "At block H" means after block
+// H: confirmed transfers with blockHeight <= H count, pending (mempool)
+// transfers never do.
+//
+// Older ledgers have transfers without blockHeight. A mint without one is
+// placed at collection.deployBlock (approximate: at most a few blocks early);
+// any other transfer is placed no later than the next transfer that has a
+// height, and one with no later height is treated as not yet mined (counted in
+// `undated`).
+//
+// atDate queries are mapped to a height with createBlockClock: the last block
+// whose header time is at or before the date, found by binary search over
+// block headers from the chain client.
+
+const { changesOwner } = require('./ownership.cjs');
+
+function transferHeights(nft, deployBlock) {
+  const transfers = nft.transfers || [];
+  const heights = new Array(transfers.length).fill(null);
+  let next = null;
+  for (let i = transfers.length - 1; i >= 0; i--) {
+    const t = transfers[i];
+    if (t.confirmed === false) continue;
+    if (t.blockHeight > 0) heights[i] = t.blockHeight;
+    else if (t.type === 'mint') heights[i] = deployBlock ?? next;
+    else heights[i] = next;
+    if (heights[i] !== null) next = heights[i];
+  }
+  return heights;
+}
+
+// One NFT's state after block `height`
+function nftAt(nft, height, { deployBlock } = {}) {
+  const transfers = nft.transfers || [];
+  const heights = transferHeights(nft, deployBlock);
+  const state = { minted: false, owner: null, burned: false, burnTx: null, transfers: [], undated: 0 };
+  transfers.forEach((t, i) => {
+    if (t.confirmed === false) return;
+    if (heights[i] === null) { state.undated++; return; }
+    if (heights[i] > height) return;
+    state.transfers.push(t);
+    if (t.type === 'mint') state.minted = true;
+    if (t.type === 'burn') { state.burned = true; state.burnTx = t.txid; }
+    else if (changesOwner(t)) state.owner = t.to;
+  });
+  return state;
+}
+
+// Every NFT's state after block `height`, and the owners index as it was then
+function ledgerAt(ledger, height) {
+  const deployBlock = ledger.collection?.deployBlock;
+  const nfts = {};
+  const owners = {};
+  for (const key of Object.keys(ledger.nfts).sort((a, b) => a - b)) {
+    const state = nftAt(ledger.nfts[key], height, { deployBlock });
+    nfts[key] = state;
+    if (state.owner) (owners[state.owner] ||= []).push(Number(key));
+  }
+  return { height, nfts, owners };
+}
+
+function createBlockClock(chain) {
+  const times = new Map(); // height → header time (unix seconds)
+
+  async function timeAt(height) {
+    if (!times.has(height)) {
+      const header = await chain.getBlockHeader(await chain.getBlockHash(height));
+      times.set(height, header.time);
+    }
+    return times.get(height);
+  }
+
+  // Last block at or before `date` (a Date), searching from `low` (a block
+  // known to precede anything of interest). low - 1 if even `low` is later.
+  async function heightAt(date, { low = 0 } = {}) {
+    const t = Math.floor(date.getTime() / 1000);
+    let hi = (await chain.getChainInfo()).blocks;
+    if (await timeAt(low) > t) return low - 1;
+    if (await timeAt(hi) <= t) return hi;
+    let lo = low; // time(lo) <= t < time(hi)
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await timeAt(mid) <= t) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  return { heightAt, timeAt };
+}
+
+module.exports = { nftAt, ledgerAt, transferHeights, createBlockClock };
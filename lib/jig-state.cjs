@@ -0,0 +1,126 @@
+'use strict';
+
+// Jig state per location, rebuilt from chain. The jig is followed from its mint
+// output through each tx that spent it (locateJig, as the ownership indexer
+// does), and every output it sat in becomes one state:
+//   { location, origin, nonce, txid, vout, confidence, confirmed,
+//     owner, lock: { type, script }, satoshis,
+//     class, mint, calls, spentBy }
+// owner is the address the output pays to (null for an OrderLock or other
+// nonstandard lock); lock.type is 'p2pkh' | 'p2pk' | 'orderlock' | 'nonstandard'.
+// nonce counts the txs that produced the location, the mint being 1.
+// class and mint come from the mint tx and repeat in every state:
+//   class  { location, via: 'NEW' | 'CALL', method } — the class a NEW op
+//          instantiated, or the jig whose method minted it (the class itself
+//          for a static mint), as a Run location
+//   mint   { method, args } — the arguments it was minted with (its metadata)
+// calls are the CALL/UPGRADE ops the tx made on this jig. Decoded values are
+// made JSON-safe with toPlain (lib/run.cjs).
+
+const { tryDecodeRun, toPlain } = require('./run.cjs');
+const { locateJig, mintLocation } = require('./jig.cjs');
+
+const MAX_HOPS = 100;
+
+const location = (txid, vout) => `${txid}_o${vout}`;
+
+function refLocation(ref, txid) {
+  if (!ref || ref.$jig === undefined) return null;
+  return ref.kind === 'created' ? `${txid}_c${ref.index}` : ref.location;
+}
+
+// The op of a mint tx that made the NFT: its only NEW or CALL, else the
+// CALL named 'mint'
+function mintOp(run) {
+  const ops = run.exec.filter(e => e.op === 'NEW' || e.op === 'CALL');
+  if (ops.length === 1) return ops[0];
+  return ops.find(e => e.op === 'CALL' && e.method === 'mint') || null;
+}
+
+function mintInfo(run, txid) {
+  const op = run && mintOp(run);
+  if (!op) return { class: null, mint: null };
+  if (op.op === 'NEW') {
+    return { class: { location: refLocation(op.class, txid), via: 'NEW', method: null }, mint: { method: null, args: toPlain(op.args) } };
+  }
+  return { class: { location: refLocation(op.jig, txid), via: 'CALL', method: op.method }, mint: { method: op.method, args: toPlain(op.args) } };
+}
+
+// CALL/UPGRADE ops on the jig spent from `spent` ('<txid>_o<n>')
+function callsOn(run, spent) {
+  if (!run) return [];
+  return run.exec
+    .filter(e => (e.op === 'CALL' || e.op === 'UPGRADE') && e.jig?.kind === 'input' && e.jig.location === spent)
+    .map(e => e.op === 'CALL' ? { op: e.op, method: e.method, args: toPlain(e.args) } : { op: e.op, src: e.src });
+}
+
+function outputState(tx, vout) {
+  const out = tx.outputs[vout];
+  if (!out) throw new Error(`${tx.txid} has no output ${vout}`);
+  const orderLock = out.template === 'nonstandard';
+  return {
+    owner: out.address || null,
+    lock: { type: orderLock ? 'orderlock' : out.template, script: out.script },
+    satoshis: out.satoshis,
+  };
+}
+
+// Every state of the NFT's jig, mint first, up to its recorded location
+// (nft.lastTx). Each hop is found from chain (getSpender), so listings and
+// moves that left no transfer are included.
+async function jigStates(chain, nft) {
+  if (!nft.mintTxid) throw new Error('NFT has no mint txid');
+  const lastTx = nft.lastTx || nft.mintTxid;
+
+  const mintTx = await chain.getParsedTx(nft.mintTxid);
+  if (!mintTx) throw new Error(`Could not fetch ${nft.mintTxid}`);
+  const mint = mintLocation(nft);
+  const { class: cls, mint: minted } = mintInfo(tryDecodeRun(mintTx).run, nft.mintTxid);
+  const origin = location(nft.mintTxid, mint.vout);
+
+  const states = [{
+    location: origin,
+    origin,
+    nonce: 1,
+    txid: nft.mintTxid,
+    vout: mint.vout,
+    confidence: mint.confidence,
+    confirmed: mintTx.blockheight > 0,
+    ...outputState(mintTx, mint.vout),
+    class: cls,
+    mint: minted,
+    calls: [],
+    spentBy: null,
+  }];
+
+  for (let hops = 0; states[states.length - 1].txid !== lastTx; hops++) {
+    if (hops >= MAX_HOPS) throw new Error(`Gave up after ${MAX_HOPS} hops without reaching ${lastTx}`);
+    const prev = states[states.length - 1];
+    const next = await chain.getSpender(prev.txid, prev.vout);
+    if (!next) throw new Error(`${prev.location} is unspent but is not the recorded location ${lastTx}`);
+    const tx = await chain.getParsedTx(next);
+    if (!tx) throw new Error(`Could not fetch ${next}`);
+    const jig = locateJig(tx, { txid: prev.txid, vout: prev.vout });
+    if (jig.burned) throw new Error(`${next} destroys the jig before ${lastTx}`);
+    prev.spentBy = next;
+
+    states.push({
+      location: location(next, jig.vout),
+      origin,
+      nonce: prev.nonce + 1,
+      txid: next,
+      vout: jig.vout,
+      confidence: jig.confidence,
+      confirmed: tx.blockheight > 0,
+      ...outputState(tx, jig.vout),
+      class: cls,
+      mint: minted,
+      calls: callsOn(tryDecodeRun(tx).run, prev.location),
+      spentBy: null,
+    });
+  }
+  if (nft.burned) states[states.length - 1].spentBy = nft.burnTx || null;
+  return states;
+}
+
+module.exports = { jigStates };
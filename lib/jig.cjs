@@ -0,0 +1,131 @@
+'use strict';
+
+// Jig location helpers, working on txs from lib/bsv-tx.cjs (chain.getParsedTx)
+// rather than a provider's decoded JSON. Run metadata is decoded by lib/run.cjs.
+//
+// locateJig follows a jig through a spending tx using the Run payload: the
+// tx's first `in` inputs are the jig inputs, and the jig outputs that follow
+// the Run output are those inputs (in input order, minus any deleted) and then
+// the jigs the tx creates. Every answer carries a confidence:
+//   'run'        mapped from the Run payload
+//   'heuristic'  no usable payload; fell back to findJigVout's output guess
+//   'assumed'    no evidence at all (a mint without a recorded jigRef)
+// A tx whose Run output does not decode also falls back to the guess, and the
+// answer carries the decode error as runError.
+
+const { tryDecodeRun } = require('./run.cjs');
+
+const ORDERLOCK_MAX_SATS = 100000; // 0.001 BSV
+const JIG_DUST_MAX_SATS = 1000;    // 0.00001 BSV
+const MINT_JIG_VOUT = 3;           // the new NFT jig's output in a Rexxie mint tx, when jigRef is unknown
+
+// Find the NFT jig vout in a tx (orderlock-first logic)
+//   1. small nonstandard output → OrderLock (marketplace escrow, owner unchanged)
+//   2. dust P2PKH output → normal send to that address
+function findJigVout(tx) {
+  for (const out of tx.outputs) {
+    if (out.template === 'nonstandard' && out.satoshis <= ORDERLOCK_MAX_SATS) {
+      return { vout: out.n, addr: null, isOrderLock: true };
+    }
+  }
+  for (const out of tx.outputs) {
+    if (out.template === 'op_return') continue;
+    if (out.address && out.satoshis > 0 && out.satoshis <= JIG_DUST_MAX_SATS) {
+      return { vout: out.n, addr: out.address, isOrderLock: false };
+    }
+  }
+  return null;
+}
+
+function jigOutput(tx, vout, confidence) {
+  const out = tx.outputs[vout];
+  return { vout, addr: out.address || null, isOrderLock: out.template === 'nonstandard', confidence };
+}
+
+const burned = (confidence) => ({ vout: null, burned: true, confidence });
+
+// Jig inputs a tx deletes, by input index: those it calls destroy() on. `del`
+// holds only the deleted jigs' state hashes, so this is null when the destroy
+// calls do not account for every entry in it.
+function deletedInputs(run) {
+  const deleted = new Set();
+  for (const e of run.exec) {
+    if (e.op !== 'CALL' || e.method !== 'destroy' || e.jig?.kind !== 'input') continue;
+    const index = run.inputs.indexOf(e.jig.location);
+    if (index >= 0 && index < run.in) deleted.add(index);
+  }
+  return deleted.size === run.del.length ? deleted : null;
+}
+
+// The Run answer for the jig at input `index`, or null when the payload
+// cannot say (inconsistent counts, or deletes that cannot be matched to inputs)
+function mapRunInput(tx, run, index) {
+  if (index >= run.in) return burned('run'); // spent, but not as a Run input: destroyed
+  if (run.in - run.del.length + run.cre.length !== run.out.length) return null;
+  if (run.vrun + run.out.length >= tx.outputs.length) return null;
+  if (run.del.length === 0) return jigOutput(tx, run.vrun + 1 + index, 'run');
+  if (run.del.length === run.in) return burned('run'); // every jig input deleted (melt)
+
+  // Some inputs deleted: the rest keep their order in `out`
+  const deleted = deletedInputs(run);
+  if (!deleted) return null;
+  if (deleted.has(index)) return burned('run');
+  let position = 0;
+  for (let i = 0; i < index; i++) if (!deleted.has(i)) position++;
+  return jigOutput(tx, run.vrun + 1 + position, 'run');
+}
+
+// Where `tx` put the jig it spends from `spent` ({ txid, vout }). Without
+// `spent`, only a tx with a single jig input can be mapped from its payload.
+// Returns { vout, addr, isOrderLock, confidence } or
+// { vout: null, burned: true, confidence } when the tx destroys the jig, plus
+// runError (the message) when the tx's Run payload is invalid.
+function locateJig(tx, spent) {
+  const { run, error } = tryDecodeRun(tx);
+
+  if (run) {
+    let index = -1;
+    if (spent) index = tx.inputs.findIndex(i => i.txid === spent.txid && i.vout === spent.vout);
+    else if (run.in === 1) index = 0;
+    const mapped = index >= 0 ? mapRunInput(tx, run, index) : null;
+    if (mapped) return mapped;
+  }
+
+  const jig = findJigVout(tx);
+  const guess = jig ? { ...jig, confidence: 'heuristic' } : burned('heuristic');
+  return error ? { ...guess, runError: error.message } : guess;
+}
+
+// '<txid>_o<vout>' → { txid, vout }
+function parseLocation(location) {
+  const m = /^([0-9a-f]{64})_o(\d+)$/.exec(location || '');
+  return m ? { txid: m[1], vout: Number(m[2]) } : null;
+}
+
+// The NFT jig's output in its mint tx: from its Run location (jigRef) when
+// recorded, else the usual Rexxie mint layout
+function mintLocation(nft) {
+  const loc = parseLocation(nft.jigRef);
+  if (loc && loc.txid === nft.mintTxid) return { vout: loc.vout, confidence: 'run' };
+  return { vout: MINT_JIG_VOUT, confidence: 'assumed' };
+}
+
+// The jig's output in nft.lastTx (parsed as `tx`), for NFTs whose lastVout is
+// not known. Returns { vout, confidence } (and runError, as locateJig) or null.
+function lastVoutOf(nft, tx) {
+  if (nft.lastTx === nft.mintTxid) return mintLocation(nft);
+  const jig = locateJig(tx);
+  if (jig.burned) return null;
+  return { vout: jig.vout, confidence: jig.confidence, ...(jig.runError && { runError: jig.runError }) };
+}
+
+module.exports = {
+  findJigVout,
+  locateJig,
+  mintLocation,
+  lastVoutOf,
+  parseLocation,
+  ORDERLOCK_MAX_SATS,
+  JIG_DUST_MAX_SATS,
+  MINT_JIG_VOUT,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+// Ledger invariants. The per-NFT records (owner, transfers, lastTx, burned)
+// are the source of truth; ledger.owners and ledger.ownershipIndexed are
+// indexes derived from them and can be rebuilt (repairIndexes).
+//
+// checkLedger returns one entry per violation:
+//   { level: 'error' | 'warn', check, num?, address?, message }
+// 'warn' is for states that are legal but worth a look — lastTx past the last
+// transfer is normal in ledgers indexed before same-owner moves were recorded,
+// but it is also what a missed transfer looks like.
+
+const { SCHEMA_VERSION } = require('./schema.cjs');
+const { changesOwner } = require('./ownership.cjs');
+
+function checkLedger(ledger) {
+  const issues = [];
+  const report = (level, check, message, where = {}) => issues.push({ level, check, ...where, message });
+
+  if ((ledger.schemaVersion ?? 0) !== SCHEMA_VERSION) {
+    report('error', 'schema', `schemaVersion is ${ledger.schemaVersion ?? 0}, current is ${SCHEMA_VERSION}`);
+  }
+
+  // ── owners index ──
+  const owners = ledger.owners || {};
+  for (const [address, nums] of Object.entries(owners)) {
+    if (!Array.isArray(nums) || nums.length === 0) {
+      report('error', 'owners-index', 'empty entry in owners index', { address });
+      continue;
+    }
+    const seen = new Set();
+    for (const num of nums) {
+      const nft = ledger.nfts[num];
+      if (seen.has(num)) report('error', 'owners-index', `#${num} listed twice`, { num, address });
+      seen.add(num);
+      if (!nft) report('error', 'owners-index', `#${num} is not in the ledger`, { num, address });
+      else if (nft.owner !== address) report('error', 'owners-index', `#${num} indexed under ${address} but owned by ${nft.owner ?? 'nobody'}`, { num, address });
+    }
+  }
+
+  let withOwner = 0;
+  for (const [key, nft] of Object.entries(ledger.nfts)) {
+    const num = Number(key);
+    const at = { num };
+    if (nft.number !== num) report('error', 'record', `stored under #${key} but number is ${nft.number}`, at);
+
+    if (nft.owner) {
+      withOwner++;
+      if (!owners[nft.owner]?.includes(num)) report('error', 'owners-index', `owner ${nft.owner} does not list #${num}`, { num, address: nft.owner });
+    }
+
+    const transfers = nft.transfers;
+    if (!Array.isArray(transfers)) {
+      report('error', 'transfers', 'no transfers array', at);
+      continue;
+    }
+    if (transfers.length === 0) {
+      if (nft.owner) report('error', 'transfers', 'has an owner but no mint transfer', at);
+      continue;
+    }
+
+    // ── transfer chain ──
+    if (transfers[0].type !== 'mint') report('error', 'transfers', `first transfer is a ${transfers[0].type}, not the mint`, at);
+    else if (transfers[0].txid !== nft.mintTxid) report('error', 'transfers', `mint transfer ${transfers[0].txid} is not mintTxid ${nft.mintTxid}`, at);
+
+    let holder;
+    let owner;
+    let pendingOwner;
+    let pendingFrom = -1;
+    transfers.forEach((t, i) => {
+      if (i > 0 && t.type === 'mint') report('error', 'transfers', `transfer ${i} is a second mint (${t.txid})`, at);
+      if (i > 0 && t.from !== holder) report('error', 'transfers', `transfer ${i} (${t.txid}) is from ${t.from}, but the holder was ${holder}`, at);
+      if (t.confirmed === false) {
+        if (pendingFrom < 0) pendingFrom = i;
+      } else if (pendingFrom >= 0) {
+        report('error', 'pending', `transfer ${i} (${t.txid}) is confirmed after pending transfer ${pendingFrom}`, at);
+      }
+      if (t.type === 'burn') {
+        if (i !== transfers.length - 1) report('error', 'burned', `burn ${t.txid} is not the last transfer`, at);
+        return;
+      }
+      if (!changesOwner(t)) {
+        if (t.seller && t.seller !== holder) report('warn', 'transfers', `listing ${i} (${t.txid}) has seller ${t.seller}, but the holder was ${holder}`, at);
+        return;
+      }
+      holder = t.to;
+      if (t.confirmed === false) pendingOwner = t.to;
+      else { owner = t.to; pendingOwner = undefined; }
+    });
+
+    // ── owner and pendingOwner follow the transfers (see ownership.settleOwner) ──
+    if (nft.owner !== owner) report('error', 'owner', `owner is ${nft.owner ?? 'unset'}, transfers say ${owner}`, at);
+    const expectedPending = pendingOwner && pendingOwner !== owner ? pendingOwner : undefined;
+    if (nft.pendingOwner !== expectedPending) {
+      report('error', 'pending', `pendingOwner is ${nft.pendingOwner ?? 'unset'}, transfers say ${expectedPending ?? 'none'}`, at);
+    }
+
+    // ── burned ──
+    const last = transfers[transfers.length - 1];
+    if (nft.burned) {
+      if (!nft.burnTx) report('error', 'burned', 'burned without burnTx', at);
+      if (last.type !== 'burn') report('error', 'burned', 'burned but the last transfer is not a burn', at);
+      else if (nft.burnTx && last.txid !== nft.burnTx) report('error', 'burned', `burnTx ${nft.burnTx} is not the burn transfer ${last.txid}`, at);
+    } else {
+      if (nft.burnTx) report('error', 'burned', `burnTx ${nft.burnTx} set on an NFT that is not burned`, at);
+      if (last.type === 'burn') report('error', 'burned', `burn transfer ${last.txid} on an NFT that is not burned`, at);
+    }
+
+    // ── current location ──
+    const lastMove = transfers.filter(t => t.type !== 'burn').pop();
+    if (!nft.lastTx) report('error', 'last-tx', 'no lastTx', at);
+    else if (lastMove && nft.lastTx !== lastMove.txid) {
+      report('warn', 'last-tx', `lastTx ${nft.lastTx} is not the last transfer ${lastMove.txid} (same-owner move?)`, at);
+    }
+    if (nft.lastVout !== undefined && !(Number.isInteger(nft.lastVout) && nft.lastVout >= 0)) {
+      report('error', 'last-tx', `lastVout ${JSON.stringify(nft.lastVout)} is not an output index`, at);
+    }
+  }
+
+  if (ledger.ownershipIndexed !== withOwner) {
+    report('error', 'ownership-indexed', `ownershipIndexed is ${ledger.ownershipIndexed}, ${withOwner} NFTs have an owner`);
+  }
+
+  return issues;
+}
+
+// Rebuild the derived indexes from the NFT records: the owners index (NFT
+// numbers in ascending order per address) and ownershipIndexed. Record-level
+// problems are left alone — they need the chain (refresh-owners or a re-index).
+// Returns how many owners index entries were added and removed.
+function repairIndexes(ledger) {
+  const owners = {};
+  for (const key of Object.keys(ledger.nfts).sort((a, b) => a - b)) {
+    const nft = ledger.nfts[key];
+    if (nft.owner) (owners[nft.owner] ||= []).push(Number(key));
+  }
+
+  const pairs = (index) => new Set(Object.entries(index || {}).flatMap(([a, nums]) => (nums || []).map(n => `${a}:${n}`)));
+  const before = pairs(ledger.owners);
+  const after = pairs(owners);
+  const added = [...after].filter(p => !before.has(p)).length;
+  const removed = [...before].filter(p => !after.has(p)).length;
+
+  ledger.owners = owners;
+  ledger.ownershipIndexed = Object.values(ledger.nfts).filter(n => n.owner).length;
+  return { added, removed };
+}
+
+module.exports = { checkLedger, repairIndexes };
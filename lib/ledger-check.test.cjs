@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkLedger, repairIndexes } = require('./ledger-check.cjs');
+const { SCHEMA_VERSION } = require('./schema.cjs');
+
+const A = '1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const B = '1BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const C = '1CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+
+// #1 minted to A, listed, bought by B, then sent to C in the mempool;
+// #2 minted to A and burned
+function ledger() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    ownershipIndexed: 2,
+    owners: { [B]: [1], [A]: [2] },
+    nfts: {
+      1: {
+        number: 1, mintTxid: 'm1', owner: B, pendingOwner: C, lastTx: 's1', lastVout: 1,
+        transfers: [
+          { txid: 'm1', type: 'mint', to: A },
+          { txid: 'l1', type: 'list', from: A, to: A, seller: A },
+          { txid: 'p1', type: 'send', from: A, to: B },
+          { txid: 's1', type: 'send', from: B, to: C, confirmed: false },
+        ],
+      },
+      2: {
+        number: 2, mintTxid: 'm2', owner: A, lastTx: 'm2', lastVout: 3, burned: true, burnTx: 'b2',
+        transfers: [
+          { txid: 'm2', type: 'mint', to: A },
+          { txid: 'b2', type: 'burn', from: A },
+        ],
+      },
+    },
+  };
+}
+
+const checks = (issues) => issues.map(i => `${i.level} ${i.check}${i.num ? ` #${i.num}` : ''}`);
+
+test('a consistent ledger has no issues', () => {
+  assert.deepEqual(checkLedger(ledger()), []);
+});
+
+test('reports an old schema and a stale ownershipIndexed', () => {
+  const l = ledger();
+  l.schemaVersion = 2;
+  l.ownershipIndexed = 5;
+  assert.deepEqual(checks(checkLedger(l)), ['error schema', 'error ownership-indexed']);
+});
+
+test('reports owners index entries that disagree with the records', () => {
+  const l = ledger();
+  l.owners = { [B]: [1, 1], [C]: [2, 9], [A]: [] };
+  assert.deepEqual(checks(checkLedger(l)), [
+    'error owners-index #1',
+    'error owners-index #2',
+    'error owners-index #9',
+    'error owners-index',
+    'error owners-index #2',
+  ]);
+});
+
+test('reports a transfer chain that does not connect', () => {
+  const l = ledger();
+  l.nfts[1].transfers[2].from = C;
+  l.nfts[1].transfers[1].seller = C;
+  const issues = checkLedger(l);
+  assert.deepEqual(checks(issues), ['warn transfers #1', 'error transfers #1']);
+  assert.match(issues[1].message, /is from .* but the holder was/);
+});
+
+test('reports an owner or pendingOwner the transfers do not give', () => {
+  const l = ledger();
+  l.nfts[1].owner = C;
+  l.owners = { [C]: [1], [A]: [2] };
+  delete l.nfts[1].pendingOwner;
+  assert.deepEqual(checks(checkLedger(l)), ['error owner #1', 'error pending #1']);
+});
+
+test('reports a confirmed transfer after a pending one', () => {
+  const l = ledger();
+  l.nfts[1].transfers.push({ txid: 's2', type: 'send', from: C, to: A });
+  assert.ok(checks(checkLedger(l)).includes('error pending #1'));
+});
+
+test('reports burn state that does not match the last transfer', () => {
+  const l = ledger();
+  l.nfts[2].burnTx = 'other';
+  assert.deepEqual(checks(checkLedger(l)), ['error burned #2']);
+  delete l.nfts[2].burned;
+  assert.deepEqual(checks(checkLedger(l)), ['error burned #2', 'error burned #2']);
+});
+
+test('warns when lastTx is past the last transfer', () => {
+  const l = ledger();
+  l.nfts[1].lastTx = 'moved';
+  l.nfts[1].lastVout = -1;
+  assert.deepEqual(checks(checkLedger(l)), ['warn last-tx #1', 'error last-tx #1']);
+});
+
+test('repairIndexes rebuilds the owners index and ownershipIndexed', () => {
+  const l = ledger();
+  l.owners = { [C]: [1], [A]: [2, 2] };
+  l.ownershipIndexed = 0;
+  assert.deepEqual(repairIndexes(l), { added: 1, removed: 1 });
+  assert.deepEqual(l.owners, { [B]: [1], [A]: [2] });
+  assert.equal(l.ownershipIndexed, 2);
+  assert.deepEqual(checkLedger(l), []);
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+// Compare two ledger snapshots (backups from scheduled-refresh.cjs, or the
+// live ledger). diffLedgers reports, from `before` to `after`:
+//   ownerChanges      NFTs whose confirmed owner differs
+//   newTransfers      transfers in `after` past the history both share
+//   droppedTransfers  transfers in `before` that `after` no longer has (reorgs)
+//   newBurns          NFTs burned in `after` but not in `before`
+//   holders           addresses that entered or left the owners index
+// formatDiff renders the same report as text.
+
+const fs = require('fs');
+const path = require('path');
+const { createLedgerStore, BACKUP_DIR } = require('./ledger-store.cjs');
+
+// Backups of either store format, newest first
+function listSnapshots(dir = BACKUP_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /^ledger-.*\.(json|db)$/.test(f))
+    .sort()
+    .reverse();
+}
+
+// A snapshot by name: 'current' (the configured store), a backup index
+// (0 = newest), a backup file name in BACKUP_DIR, or a path. Backups are read
+// as they are — no restore, any schema version.
+function resolveSnapshot(spec, dir = BACKUP_DIR) {
+  if (spec === 'current') return { label: 'current', store: null };
+  let file = spec;
+  if (/^\d+$/.test(spec)) {
+    const name = listSnapshots(dir)[Number(spec)];
+    if (!name) throw new Error(`No backup #${spec} in ${dir}`);
+    file = path.join(dir, name);
+  } else if (path.basename(spec) === spec && fs.existsSync(path.join(dir, spec))) {
+    file = path.join(dir, spec);
+  }
+  if (!fs.existsSync(file)) throw new Error(`No such ledger snapshot: ${spec}`);
+  return { label: path.basename(file), file };
+}
+
+function loadSnapshot(spec, dir = BACKUP_DIR) {
+  const { label, file } = resolveSnapshot(spec, dir);
+  const store = !file ? createLedgerStore()
+    : file.endsWith('.db') ? createLedgerStore({ backend: 'sqlite', file, readonly: true })
+    : createLedgerStore({ backend: 'json', file, restore: false });
+  try {
+    return { label, ledger: store.load({ anyVersion: !!file }) };
+  } finally {
+    store.close();
+  }
+}
+
+function holderCounts(ledger) {
+  const counts = new Map();
+  for (const [addr, nums] of Object.entries(ledger.owners || {})) {
+    if (nums.length > 0) counts.set(addr, nums.length);
+  }
+  return counts;
+}
+
+function describe(ledger) {
+  return {
+    lastUpdated: ledger.collection?.lastUpdated ?? null,
+    syncedHeight: ledger.syncedHeight ?? null,
+    schemaVersion: ledger.schemaVersion ?? 0,
+  };
+}
+
+function diffLedgers(before, after) {
+  const ownerChanges = [];
+  const newTransfers = [];
+  const droppedTransfers = [];
+  const newBurns = [];
+
+  const nums = new Set([...Object.keys(before.nfts), ...Object.keys(after.nfts)]);
+  for (const key of [...nums].sort((a, b) => a - b)) {
+    const number = Number(key);
+    const was = before.nfts[key] || {};
+    const now = after.nfts[key] || {};
+
+    if ((was.owner ?? null) !== (now.owner ?? null)) {
+      ownerChanges.push({ number, from: was.owner ?? null, to: now.owner ?? null });
+    }
+
+    const wasTransfers = was.transfers || [];
+    const nowTransfers = now.transfers || [];
+    let shared = 0;
+    while (shared < wasTransfers.length && shared < nowTransfers.length && wasTransfers[shared].txid === nowTransfers[shared].txid) shared++;
+    for (const t of nowTransfers.slice(shared)) newTransfers.push({ number, ...t });
+    for (const t of wasTransfers.slice(shared)) droppedTransfers.push({ number, ...t });
+
+    if (now.burned && !was.burned) newBurns.push({ number, burnTx: now.burnTx ?? null, owner: now.owner ?? null });
+  }
+
+  const wasHolders = holderCounts(before);
+  const nowHolders = holderCounts(after);
+  const entered = [...nowHolders].filter(([a]) => !wasHolders.has(a)).map(([address, count]) => ({ address, count }));
+  const left = [...wasHolders].filter(([a]) => !nowHolders.has(a)).map(([address, count]) => ({ address, count }));
+
+  return {
+    from: describe(before),
+    to: describe(after),
+    summary: {
+      ownerChanges: ownerChanges.length,
+      newTransfers: newTransfers.length,
+      droppedTransfers: droppedTransfers.length,
+      newBurns: newBurns.length,
+      holdersEntered: entered.length,
+      holdersLeft: left.length,
+      holdersBefore: wasHolders.size,
+      holdersAfter: nowHolders.size,
+    },
+    ownerChanges,
+    newTransfers,
+    droppedTransfers,
+    newBurns,
+    holders: { entered, left },
+  };
+}
+
+function formatDiff(diff, { fromLabel = 'before', toLabel = 'after' } = {}) {
+  const s = diff.summary;
+  const at = (d) => `${d.lastUpdated || 'never updated'}${d.syncedHeight ? `, height ${d.syncedHeight}` : ''}`;
+  const lines = [
+    `${fromLabel} (${at(diff.from)})`,
+    `  → ${toLabel} (${at(diff.to)})`,
+    '',
+    `Owner changes: ${s.ownerChanges}   New transfers: ${s.newTransfers}   New burns: ${s.newBurns}`,
+    `Holders: ${s.holdersBefore} → ${s.holdersAfter} (+${s.holdersEntered} / -${s.holdersLeft})`,
+  ];
+
+  if (diff.ownerChanges.length) {
+    lines.push('', 'Owner changes:');
+    for (const c of diff.ownerChanges) lines.push(`  #${c.number}: ${c.from || '(none)'} → ${c.to || '(none)'}`);
+  }
+  if (diff.newTransfers.length) {
+    lines.push('', 'New transfers:');
+    for (const t of diff.newTransfers) {
+      const block = t.confirmed === false ? 'mempool' : t.blockHeight ? `block ${t.blockHeight}` : 'unknown block';
+      lines.push(`  #${t.number} ${t.type} ${t.txid} ${t.from || ''}${t.to ? ` → ${t.to}` : ''} (${block})`);
+    }
+  }
+  if (diff.droppedTransfers.length) {
+    lines.push('', 'Dropped transfers (reorged or dropped from the mempool):');
+    for (const t of diff.droppedTransfers) lines.push(`  #${t.number} ${t.type} ${t.txid}`);
+  }
+  if (diff.newBurns.length) {
+    lines.push('', 'New burns:');
+    for (const b of diff.newBurns) lines.push(`  #${b.number} in ${b.burnTx || '?'} (last owner ${b.owner || '?'})`);
+  }
+  if (diff.holders.entered.length) {
+    lines.push('', 'New holders:');
+    for (const h of diff.holders.entered) lines.push(`  ${h.address} (${h.count})`);
+  }
+  if (diff.holders.left.length) {
+    lines.push('', 'Former holders:');
+    for (const h of diff.holders.left) lines.push(`  ${h.address} (held ${h.count})`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { diffLedgers, formatDiff, listSnapshots, resolveSnapshot, loadSnapshot };
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { diffLedgers, formatDiff, listSnapshots, resolveSnapshot, loadSnapshot } = require('./ledger-diff.cjs');
+const { writeLedgerFile } = require('./ledger-file.cjs');
+
+const A = '1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const B = '1BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const C = '1CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+
+const mint = (txid) => ({ txid, type: 'mint', to: A });
+
+// #1 at A, #2 sent to B, #3 sent to C in a block that later reorgs away
+function before() {
+  return {
+    schemaVersion: 4,
+    syncedHeight: 800000,
+    collection: { lastUpdated: '2026-10-01T00:00:00.000Z' },
+    owners: { [A]: [1], [B]: [2], [C]: [3] },
+    nfts: {
+      1: { owner: A, transfers: [mint('m1')] },
+      2: { owner: B, transfers: [mint('m2'), { txid: 's2', type: 'send', from: A, to: B, blockHeight: 799990 }] },
+      3: { owner: C, transfers: [mint('m3'), { txid: 's3', type: 'send', from: A, to: C, blockHeight: 799999 }] },
+    },
+  };
+}
+
+// #1 sent to B in the mempool, #2 burned, #3 back at A after the reorg
+function after() {
+  return {
+    schemaVersion: 4,
+    syncedHeight: 800010,
+    collection: { lastUpdated: '2026-10-02T00:00:00.000Z' },
+    owners: { [A]: [1, 3] },
+    nfts: {
+      1: { owner: A, pendingOwner: B, transfers: [mint('m1'), { txid: 's1', type: 'send', from: A, to: B, confirmed: false }] },
+      2: { owner: B, burned: true, burnTx: 'b2', transfers: [mint('m2'), { txid: 's2', type: 'send', from: A, to: B, blockHeight: 799990 }, { txid: 'b2', type: 'burn', from: B, blockHeight: 800005 }] },
+      3: { owner: A, transfers: [mint('m3')] },
+    },
+  };
+}
+
+test('reports owner changes, new and dropped transfers, burns and holders', () => {
+  const diff = diffLedgers(before(), after());
+
+  assert.deepEqual(diff.from, { lastUpdated: '2026-10-01T00:00:00.000Z', syncedHeight: 800000, schemaVersion: 4 });
+  assert.deepEqual(diff.ownerChanges, [{ number: 3, from: C, to: A }]);
+  assert.deepEqual(diff.newTransfers.map(t => [t.number, t.txid]), [[1, 's1'], [2, 'b2']]);
+  assert.deepEqual(diff.droppedTransfers.map(t => [t.number, t.txid]), [[3, 's3']]);
+  assert.deepEqual(diff.newBurns, [{ number: 2, burnTx: 'b2', owner: B }]);
+  assert.deepEqual(diff.holders, { entered: [], left: [{ address: B, count: 1 }, { address: C, count: 1 }] });
+  assert.deepEqual(diff.summary, {
+    ownerChanges: 1,
+    newTransfers: 2,
+    droppedTransfers: 1,
+    newBurns: 1,
+    holdersEntered: 0,
+    holdersLeft: 2,
+    holdersBefore: 3,
+    holdersAfter: 1,
+  });
+});
+
+test('counts NFTs present on one side only', () => {
+  const grown = after();
+  grown.nfts[4] = { owner: C, transfers: [mint('m4')] };
+  grown.owners[C] = [4];
+  const diff = diffLedgers(after(), grown);
+  assert.deepEqual(diff.ownerChanges, [{ number: 4, from: null, to: C }]);
+  assert.deepEqual(diff.holders.entered, [{ address: C, count: 1 }]);
+  assert.deepEqual(diffLedgers(grown, after()).ownerChanges, [{ number: 4, from: C, to: null }]);
+});
+
+test('an unchanged ledger has an empty diff', () => {
+  const diff = diffLedgers(after(), after());
+  assert.deepEqual(diff.summary, {
+    ownerChanges: 0,
+    newTransfers: 0,
+    droppedTransfers: 0,
+    newBurns: 0,
+    holdersEntered: 0,
+    holdersLeft: 0,
+    holdersBefore: 1,
+    holdersAfter: 1,
+  });
+  // Just the header and the counts
+  assert.equal(formatDiff(diff).split('\n').length, 5);
+});
+
+test('formats the diff as text', () => {
+  const text = formatDiff(diffLedgers(before(), after()), { fromLabel: 'ledger-old.json', toLabel: 'current' });
+  const lines = text.split('\n');
+  assert.equal(lines[0], 'ledger-old.json (2026-10-01T00:00:00.000Z, height 800000)');
+  assert.equal(lines[1], '  → current (2026-10-02T00:00:00.000Z, height 800010)');
+  assert.ok(lines.includes(`  #3: ${C} → ${A}`));
+  assert.ok(lines.includes(`  #1 send s1 ${A} → ${B} (mempool)`));
+  assert.ok(lines.includes(`  #2 burn b2 ${B} (block 800005)`));
+  assert.ok(lines.includes('  #3 send s3'));
+  assert.ok(lines.includes(`  #2 in b2 (last owner ${B})`));
+  assert.ok(lines.includes(`  ${C} (held 1)`));
+});
+
+test('resolves snapshots by index, backup name or path, newest first', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-diff-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeLedgerFile(path.join(dir, 'ledger-2026-10-01.json'), before());
+  writeLedgerFile(path.join(dir, 'ledger-2026-10-02.json'), after());
+  fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+
+  assert.deepEqual(listSnapshots(dir), ['ledger-2026-10-02.json', 'ledger-2026-10-01.json']);
+  assert.deepEqual(listSnapshots(path.join(dir, 'missing')), []);
+  assert.deepEqual(resolveSnapshot('current', dir), { label: 'current', store: null });
+  assert.equal(resolveSnapshot('1', dir).file, path.join(dir, 'ledger-2026-10-01.json'));
+  assert.equal(resolveSnapshot('ledger-2026-10-02.json', dir).label, 'ledger-2026-10-02.json');
+  assert.throws(() => resolveSnapshot('2', dir), /No backup #2/);
+  assert.throws(() => resolveSnapshot('nope.json', dir), /No such ledger snapshot/);
+
+  const { label, ledger } = loadSnapshot('0', dir);
+  assert.equal(label, 'ledger-2026-10-02.json');
+  assert.deepEqual(diffLedgers(loadSnapshot('1', dir).ledger, ledger).summary.newBurns, 1);
+});
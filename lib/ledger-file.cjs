@@ -0,0 +1,136 @@
+'use strict';
+
+// The one writer for ledger.json (and its backups). A write goes to a temp file
+// that is fsynced and then renamed over the target, so a crash or kill leaves
+// either the old ledger or the new one, never half of one. The file stays plain
+// JSON; its first key is a checksum of the rest of the ledger:
+//   { "sha256": "<hex of JSON.stringify(ledger, null, 2)>", "collection": ... }
+// The hash is over the parsed content re-serialized, so reformatting the file
+// (jq, an editor) keeps it valid while any change to a value does not.
+// readLedgerFile rejects a file whose checksum does not match (or that does not
+// parse) with code LEDGER_CORRUPT, and returns the ledger without the key.
+// Older files are accepted too: with the former `#sha256=<hex>` footer line
+// after the JSON, checked the same way, or with no checksum at all.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHECKSUM_KEY = 'sha256';
+const LEGACY_FOOTER_RE = /\n#sha256=([0-9a-f]{64})\n?$/;
+
+// Backups live in ledger-backups/ next to the ledger they were taken from,
+// unless LEDGER_BACKUP_DIR names a directory
+function backupDirFor(file) {
+  return process.env.LEDGER_BACKUP_DIR || path.join(path.dirname(path.resolve(file)), 'ledger-backups');
+}
+
+function corrupt(file, reason) {
+  const err = new Error(`${file} is corrupt: ${reason}`);
+  err.code = 'LEDGER_CORRUPT';
+  return err;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  // Persist the rename itself
+  try {
+    const dir = fs.openSync(path.dirname(file), 'r');
+    try { fs.fsyncSync(dir); } finally { fs.closeSync(dir); }
+  } catch {} // not every platform can fsync a directory
+}
+
+const serialize = (ledger) => JSON.stringify(ledger, null, 2);
+
+function writeLedgerFile(file, ledger) {
+  const { [CHECKSUM_KEY]: _, ...content } = ledger;
+  writeAtomic(file, serialize({ [CHECKSUM_KEY]: sha256(serialize(content)), ...content }) + '\n');
+}
+
+// Parse and check a ledger file's text
+function parseLedgerText(text, file = 'ledger') {
+  let json = text;
+  const footer = text.match(LEGACY_FOOTER_RE);
+  if (footer) {
+    json = text.slice(0, footer.index);
+    if (sha256(json) !== footer[1]) throw corrupt(file, 'checksum mismatch (truncated or modified)');
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw corrupt(file, e.message);
+  }
+  if (!parsed || typeof parsed !== 'object') throw corrupt(file, 'not a ledger');
+  const { [CHECKSUM_KEY]: checksum, ...ledger } = parsed;
+  if (checksum !== undefined && sha256(serialize(ledger)) !== checksum) throw corrupt(file, 'checksum mismatch (modified)');
+  if (typeof ledger.nfts !== 'object' || !ledger.collection) throw corrupt(file, 'not a ledger');
+  return ledger;
+}
+
+function readLedgerFile(file) {
+  return parseLedgerText(fs.readFileSync(file, 'utf8'), file);
+}
+
+// Backups, newest first
+function listBackups(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.startsWith('ledger-') && f.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(f => path.join(dir, f));
+}
+
+// Replace a corrupt ledger with the newest backup that passes its checksum.
+// The corrupt file is kept alongside as <file>.corrupt-<timestamp>.
+function restoreFromBackup(file, { dir = backupDirFor(file), log = console.error } = {}) {
+  for (const backup of listBackups(dir)) {
+    let ledger;
+    try {
+      ledger = readLedgerFile(backup);
+    } catch (e) {
+      log(`Skipping backup ${path.basename(backup)}: ${e.message}`);
+      continue;
+    }
+    if (fs.existsSync(file)) fs.renameSync(file, `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    writeLedgerFile(file, ledger);
+    log(`Restored ${file} from backup ${path.basename(backup)}`);
+    return { backup, ledger };
+  }
+  throw corrupt(file, `no intact backup found in ${dir}`);
+}
+
+// Load a ledger, falling back to the last good backup if it is corrupt
+function loadLedgerFile(file, { dir = backupDirFor(file), log = console.error } = {}) {
+  try {
+    return readLedgerFile(file);
+  } catch (e) {
+    if (e.code !== 'LEDGER_CORRUPT') throw e;
+    log(e.message);
+    return restoreFromBackup(file, { dir, log }).ledger;
+  }
+}
+
+module.exports = {
+  backupDirFor,
+  writeAtomic,
+  writeLedgerFile,
+  readLedgerFile,
+  parseLedgerText,
+  loadLedgerFile,
+  listBackups,
+  restoreFromBackup,
+};
@@ -0,0 +1,275 @@
+'use strict';
+
+// Ledger storage. Every script loads and saves the ledger through this module,
+// so where it lives is one setting:
+//   LEDGER_STORE=json    (default) ledger.json at LEDGER_PATH, rewritten on save
+//                        atomically with a checksum (ledger-file.cjs); a corrupt
+//                        file is restored from the newest good backup on load
+//   LEDGER_STORE=sqlite  SQLite database at LEDGER_DB (default ledger.db);
+//                        a save writes only the NFTs and owners that changed
+//
+// Both backends hand scripts the same in-memory ledger object
+// ({ collection, nfts, owners, ownershipIndexed, ... }) so indexing code is
+// unchanged. load() refuses a ledger whose schemaVersion is not the current one
+// (schema.cjs); pass { anyVersion: true } to read it anyway (migrate, import).
+// SQLite tables:
+//   meta       top-level ledger fields other than nfts/owners (JSON values)
+//   nfts       one row per NFT: queryable columns plus the record as JSON
+//   transfers  nft.transfers, one row per entry, in order (seq)
+//   owners     the owners index, address → NFT numbers in order (seq)
+//   runs       one row per indexer run (script, timing, status, summary)
+// `node ledger-db.cjs import|export` moves a ledger between the two formats.
+// stamp() is a cheap token that changes when another process saves the ledger
+// (file identity for JSON, SQLite's data_version), for servers that reload.
+
+const fs = require('fs');
+const path = require('path');
+const { writeLedgerFile, readLedgerFile, loadLedgerFile, backupDirFor } = require('./ledger-file.cjs');
+const { checkSchema } = require('./schema.cjs');
+
+const ROOT = path.join(__dirname, '..');
+const LEDGER_PATH = process.env.LEDGER_PATH || path.join(ROOT, 'ledger.json');
+const LEDGER_DB = process.env.LEDGER_DB || path.join(ROOT, 'ledger.db');
+// Backups of the configured ledger (scheduled-refresh.cjs), next to it
+const BACKUP_DIR = backupDirFor(process.env.LEDGER_STORE === 'sqlite' ? LEDGER_DB : LEDGER_PATH);
+
+// ── JSON ────────────────────────────────────────────────────────────────────
+
+// restore: false reports a corrupt file instead of restoring it from backup
+// (used when the file is itself a backup)
+function createJsonStore({ file = LEDGER_PATH, restore = true } = {}) {
+  return {
+    backend: 'json',
+    path: file,
+    exists: () => fs.existsSync(file),
+    // Saves replace the file, so a new inode/mtime means a new ledger
+    stamp() {
+      if (!fs.existsSync(file)) return null;
+      const st = fs.statSync(file);
+      return `${st.ino}:${st.mtimeMs}:${st.size}`;
+    },
+    load({ anyVersion = false } = {}) {
+      const ledger = restore ? loadLedgerFile(file) : readLedgerFile(file);
+      if (!anyVersion) checkSchema(ledger, file);
+      return ledger;
+    },
+    save(ledger, { touch = true } = {}) {
+      if (touch) ledger.collection.lastUpdated = new Date().toISOString();
+      writeLedgerFile(file, ledger);
+    },
+    // Re-checks the current file first, so a corrupt ledger never becomes a backup
+    async backup(dest) { writeLedgerFile(dest, readLedgerFile(file)); },
+    recordRun: () => null, // run history needs the sqlite store
+    runs: () => [],
+    close() {},
+  };
+}
+
+// ── SQLite ──────────────────────────────────────────────────────────────────
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS nfts (
+    number        INTEGER PRIMARY KEY,
+    mint_txid     TEXT,
+    owner         TEXT,
+    pending_owner TEXT,
+    last_tx       TEXT,
+    last_vout     INTEGER,
+    burned        INTEGER NOT NULL DEFAULT 0,
+    burn_tx       TEXT,
+    data          TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS nfts_owner ON nfts (owner);
+  CREATE INDEX IF NOT EXISTS nfts_mint_txid ON nfts (mint_txid);
+  CREATE TABLE IF NOT EXISTS transfers (
+    number       INTEGER NOT NULL,
+    seq          INTEGER NOT NULL,
+    txid         TEXT NOT NULL,
+    type         TEXT NOT NULL,
+    from_addr    TEXT,
+    to_addr      TEXT,
+    block_height INTEGER,
+    block_hash   TEXT,
+    confirmed    INTEGER,
+    data         TEXT NOT NULL,
+    PRIMARY KEY (number, seq)
+  );
+  CREATE INDEX IF NOT EXISTS transfers_txid ON transfers (txid);
+  CREATE TABLE IF NOT EXISTS owners (
+    address TEXT NOT NULL,
+    number  INTEGER NOT NULL,
+    seq     INTEGER NOT NULL,
+    PRIMARY KEY (address, number)
+  );
+  CREATE TABLE IF NOT EXISTS runs (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    script      TEXT NOT NULL,
+    started_at  TEXT,
+    finished_at TEXT,
+    status      TEXT,
+    summary     TEXT
+  );
+`;
+
+// readonly: true opens an existing database without writing to it — no WAL
+// switch, no schema statements (used when the file is a backup). SQLite still
+// creates -wal/-shm files to read a database left in WAL mode; close() removes
+// the ones it created.
+function createSqliteStore({ file = LEDGER_DB, readonly = false } = {}) {
+  const Database = require('better-sqlite3'); // only needed for this backend
+  const sidecars = readonly ? ['-wal', '-shm'].map(s => file + s).filter(f => !fs.existsSync(f)) : [];
+  const db = new Database(file, readonly ? { readonly: true, fileMustExist: true } : undefined);
+  if (!readonly) {
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+  }
+
+  const q = {
+    meta: db.prepare('SELECT key, value FROM meta'),
+    nfts: db.prepare('SELECT number, data FROM nfts ORDER BY number'),
+    transfers: db.prepare('SELECT number, data FROM transfers ORDER BY number, seq'),
+    owners: db.prepare('SELECT address, number FROM owners ORDER BY address, seq'),
+    putMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+    delMeta: db.prepare('DELETE FROM meta WHERE key = ?'),
+    putNft: db.prepare(`INSERT OR REPLACE INTO nfts
+      (number, mint_txid, owner, pending_owner, last_tx, last_vout, burned, burn_tx, data)
+      VALUES (@number, @mintTxid, @owner, @pendingOwner, @lastTx, @lastVout, @burned, @burnTx, @data)`),
+    delNft: db.prepare('DELETE FROM nfts WHERE number = ?'),
+    putTransfer: db.prepare(`INSERT INTO transfers
+      (number, seq, txid, type, from_addr, to_addr, block_height, block_hash, confirmed, data)
+      VALUES (@number, @seq, @txid, @type, @from, @to, @blockHeight, @blockHash, @confirmed, @data)`),
+    delTransfers: db.prepare('DELETE FROM transfers WHERE number = ?'),
+    putOwner: db.prepare('INSERT INTO owners (address, number, seq) VALUES (?, ?, ?)'),
+    delOwner: db.prepare('DELETE FROM owners WHERE address = ?'),
+    putRun: db.prepare(`INSERT INTO runs (script, started_at, finished_at, status, summary)
+      VALUES (@script, @startedAt, @finishedAt, @status, @summary)`),
+    runs: db.prepare('SELECT * FROM runs ORDER BY id DESC LIMIT ?'),
+  };
+
+  // What the database holds, as JSON per row, so save() writes only changes
+  let saved = { meta: new Map(), nfts: new Map(), owners: new Map() };
+
+  function load({ anyVersion = false } = {}) {
+    const ledger = { collection: null, nfts: {}, owners: {} };
+    for (const { key, value } of q.meta.all()) ledger[key] = JSON.parse(value);
+    for (const { number, data } of q.nfts.all()) ledger.nfts[number] = { ...JSON.parse(data), transfers: [] };
+    for (const { number, data } of q.transfers.all()) ledger.nfts[number]?.transfers.push(JSON.parse(data));
+    for (const { address, number } of q.owners.all()) (ledger.owners[address] ||= []).push(number);
+    saved = snapshot(ledger);
+    if (!anyVersion) checkSchema(ledger, file);
+    return ledger;
+  }
+
+  function snapshot(ledger) {
+    const { nfts, owners, ...meta } = ledger;
+    return {
+      meta: new Map(Object.entries(meta).map(([k, v]) => [k, JSON.stringify(v)])),
+      nfts: new Map(Object.entries(nfts).map(([n, nft]) => [n, JSON.stringify(nft)])),
+      owners: new Map(Object.entries(owners).map(([a, nums]) => [a, JSON.stringify(nums)])),
+    };
+  }
+
+  function writeNft(number, nft) {
+    const { transfers = [], ...record } = nft;
+    q.putNft.run({
+      number: Number(number),
+      mintTxid: nft.mintTxid ?? null,
+      owner: nft.owner ?? null,
+      pendingOwner: nft.pendingOwner ?? null,
+      lastTx: nft.lastTx ?? null,
+      lastVout: nft.lastVout ?? null,
+      burned: nft.burned ? 1 : 0,
+      burnTx: nft.burnTx ?? null,
+      data: JSON.stringify(record),
+    });
+    q.delTransfers.run(Number(number));
+    transfers.forEach((t, seq) => q.putTransfer.run({
+      number: Number(number),
+      seq,
+      txid: t.txid,
+      type: t.type,
+      from: t.from ?? null,
+      to: t.to ?? null,
+      blockHeight: t.blockHeight ?? null,
+      blockHash: t.blockHash ?? null,
+      confirmed: t.confirmed === undefined ? null : t.confirmed ? 1 : 0,
+      data: JSON.stringify(t),
+    }));
+  }
+
+  // touch: false keeps collection.lastUpdated as is (imports)
+  const save = db.transaction((ledger, { touch = true } = {}) => {
+    if (touch) ledger.collection.lastUpdated = new Date().toISOString();
+    const next = snapshot(ledger);
+
+    for (const [key, json] of next.meta) if (saved.meta.get(key) !== json) q.putMeta.run(key, json);
+    for (const key of saved.meta.keys()) if (!next.meta.has(key)) q.delMeta.run(key);
+
+    for (const [num, json] of next.nfts) if (saved.nfts.get(num) !== json) writeNft(num, ledger.nfts[num]);
+    for (const num of saved.nfts.keys()) {
+      if (!next.nfts.has(num)) { q.delNft.run(Number(num)); q.delTransfers.run(Number(num)); }
+    }
+
+    for (const [addr, json] of next.owners) {
+      if (saved.owners.get(addr) === json) continue;
+      q.delOwner.run(addr);
+      ledger.owners[addr].forEach((num, seq) => q.putOwner.run(addr, num, seq));
+    }
+    for (const addr of saved.owners.keys()) if (!next.owners.has(addr)) q.delOwner.run(addr);
+
+    saved = next;
+  });
+
+  function recordRun({ script, startedAt, finishedAt = new Date().toISOString(), status = 'ok', summary = {} }) {
+    return q.putRun.run({ script, startedAt, finishedAt, status, summary: JSON.stringify(summary) }).lastInsertRowid;
+  }
+
+  return {
+    backend: 'sqlite',
+    path: file,
+    db,
+    exists: () => db.prepare('SELECT 1 FROM meta WHERE key = ?').get('collection') !== undefined,
+    stamp: () => db.pragma('data_version', { simple: true }), // bumped by other connections' commits
+    load,
+    save,
+    // A backup is left in rollback-journal mode, so it is one self-contained file
+    async backup(dest) {
+      await db.backup(dest);
+      const copy = new Database(dest);
+      copy.pragma('journal_mode = DELETE');
+      copy.close();
+    },
+    recordRun,
+    runs: (limit = 20) => q.runs.all(limit).map(r => ({ ...r, summary: JSON.parse(r.summary || '{}') })),
+    close() {
+      db.close();
+      for (const f of sidecars) fs.rmSync(f, { force: true });
+    },
+  };
+}
+
+const BACKENDS = { json: createJsonStore, sqlite: createSqliteStore };
+
+function createLedgerStore({ backend = process.env.LEDGER_STORE || 'json', ...opts } = {}) {
+  const factory = BACKENDS[backend];
+  if (!factory) throw new Error(`Unknown ledger store: ${backend} (known: ${Object.keys(BACKENDS).join(', ')})`);
+  return factory(opts);
+}
+
+// For scripts that load at startup: a ledger they must not touch (corrupt with
+// no backup, wrong schema version) ends the process with the reason, not a trace
+function loadOrExit(store) {
+  try {
+    return store.load();
+  } catch (e) {
+    if (!/^LEDGER_/.test(e.code)) throw e;
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createLedgerStore, loadOrExit, createJsonStore, createSqliteStore, LEDGER_PATH, LEDGER_DB, BACKUP_DIR };
@@ -0,0 +1,16 @@
+'use strict';
+
+// Ledgers from before ownership indexing: every NFT gets a transfers array,
+// the owners index exists, and ownershipIndexed counts NFTs with an owner.
+
+module.exports = {
+  version: 1,
+  description: 'owners index, transfers arrays and ownershipIndexed count',
+  up(ledger) {
+    if (!ledger.owners) ledger.owners = {};
+    for (const nft of Object.values(ledger.nfts)) {
+      if (!Array.isArray(nft.transfers)) nft.transfers = [];
+    }
+    ledger.ownershipIndexed = Object.values(ledger.nfts).filter(n => n.owner).length;
+  },
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+// lastVout (the jig's output in lastTx) was added to skip a tx fetch per NFT on
+// every refresh. Resolves it, with its locationConfidence, for NFTs that lack
+// it (formerly backfill-vout.cjs), as the refresh does (jig.lastVoutOf): NFTs
+// still at their mint from the mint location, the rest from their lastTx.
+// Those need chain access; offline, they are left as they are and the refresh
+// resolves their lastVout on its next run.
+
+const { lastVoutOf } = require('../jig.cjs');
+
+module.exports = {
+  version: 2,
+  description: 'lastVout for every located NFT',
+  async up(ledger, { getChain, log }) {
+    const need = Object.values(ledger.nfts).filter(n => n.lastTx && !n.burned && n.lastVout === undefined);
+    if (need.length === 0) return;
+
+    const resolve = (nft, tx) => {
+      const result = lastVoutOf(nft, tx);
+      if (result) Object.assign(nft, { lastVout: result.vout, locationConfidence: result.confidence });
+      else log(`  #${nft.number}: jig vout not found in ${nft.lastTx}`);
+      return !!result;
+    };
+
+    const atMint = need.filter(n => n.lastTx === n.mintTxid);
+    const moved = need.filter(n => n.lastTx !== n.mintTxid);
+    let resolved = atMint.filter(nft => resolve(nft, null)).length;
+
+    const chain = moved.length > 0 && getChain();
+    if (moved.length > 0 && !chain) {
+      log(`  lastVout resolved for ${resolved}/${need.length} NFTs; ${moved.length} left for the refresh to resolve (offline)`);
+      return;
+    }
+    if (moved.length > 0) {
+      const txs = await chain.getParsedTxs(moved.map(n => n.lastTx));
+      moved.forEach((nft, i) => {
+        if (!txs[i]) return log(`  #${nft.number}: could not fetch ${nft.lastTx}`);
+        if (resolve(nft, txs[i])) resolved++;
+      });
+    }
+    log(`  lastVout resolved for ${resolved}/${need.length} NFTs`);
+  },
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+// burned/burnTx were bolted on when sweeps were first detected. Normalise
+// them: a burned NFT carries burnTx (taken from its burn transfer if missing),
+// and an NFT that is not burned has neither key.
+
+module.exports = {
+  version: 3,
+  description: 'burned/burnTx consistency',
+  up(ledger) {
+    for (const nft of Object.values(ledger.nfts)) {
+      if (nft.burned) {
+        const burn = nft.transfers.filter(t => t.type === 'burn').pop();
+        if (!nft.burnTx && burn) nft.burnTx = burn.txid;
+      } else {
+        delete nft.burned;
+        delete nft.burnTx;
+      }
+    }
+  },
+};
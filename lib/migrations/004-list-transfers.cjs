@@ -0,0 +1,41 @@
+'use strict';
+
+// Listings are recorded as 'list' transfers (seller, price, payTo from the
+// OrderLock) that older code would read as a change of owner. Adds the
+// transfer for NFTs listed right now — lastTx past the last transfer, with the
+// jig in an OrderLock. Earlier listings come back on a re-trace
+// (index-owners.cjs). Needs chain access; offline, nothing is added.
+
+const { listingFields } = require('../orderlock.cjs');
+
+module.exports = {
+  version: 4,
+  description: "'list' transfers for current listings",
+  async up(ledger, { getChain, log }) {
+    const need = Object.values(ledger.nfts).filter(n => n.lastTx && n.lastVout !== undefined && !n.burned &&
+      n.transfers.length > 0 && n.transfers[n.transfers.length - 1].txid !== n.lastTx);
+    if (need.length === 0) return;
+    const chain = getChain();
+    if (!chain) return log(`  ${need.length} NFTs past their last transfer not checked for listings (offline)`);
+
+    const txs = await chain.getParsedTxs(need.map(n => n.lastTx));
+    let listed = 0;
+    need.forEach((nft, i) => {
+      const out = txs[i]?.outputs[nft.lastVout];
+      if (!out || out.template !== 'nonstandard') return;
+      const confirmed = txs[i].blockheight > 0;
+      nft.transfers.push({
+        txid: nft.lastTx,
+        type: 'list',
+        from: nft.pendingOwner ?? nft.owner,
+        ...listingFields(out),
+        blockHeight: txs[i].blockheight,
+        blockHash: txs[i].blockhash,
+        confirmed,
+        confidence: nft.locationConfidence,
+      });
+      listed++;
+    });
+    log(`  'list' transfers added for ${listed}/${need.length} NFTs`);
+  },
+};
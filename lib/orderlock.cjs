@@ -0,0 +1,70 @@
+'use strict';
+
+// RelayX OrderLock decoder. A listed jig sits in an OrderLock output: an sCrypt
+// contract whose compiled code embeds two data pushes, one after the other,
+//   ... <seller pubkey hash (20 bytes)> <pay output> ...
+// The seller's key can cancel the listing; anyone else can take the jig by
+// spending the lock in a tx that creates the pay output, a serialized tx output
+//   <satoshis: 8 bytes LE> <script length: varint> <locking script>
+// which is the asking price and where it goes (normally the seller's P2PKH).
+// The pushes are found by shape rather than by the exact code bytes around
+// them, which differ between contract builds.
+//
+// decodeOrderLock(output) → { seller, price, payTo, payScript } or null
+//   seller     address of the seller pubkey hash
+//   price      asking price in satoshis
+//   payTo      address the pay output pays to (null for a non-P2PKH script)
+//   payScript  the pay output's locking script, hex
+// listingFields(output) is what a 'list' transfer records: { seller, price,
+// payTo }, all null when the output does not decode.
+
+const { parseScript, classifyScript, pkhToAddress } = require('./bsv-tx.cjs');
+
+const MIN_PAY_OUTPUT = 8 + 1 + 1; // satoshis, length, at least one script byte
+
+// A pushed serialized tx output → { satoshis, script } when the push is
+// exactly one output, else null
+function readPayOutput(buf) {
+  if (buf.length < MIN_PAY_OUTPUT) return null;
+  let pos = 8;
+  let len = buf[pos++];
+  if (len === 0xfd) {
+    if (buf.length < pos + 2) return null;
+    len = buf.readUInt16LE(pos);
+    pos += 2;
+  } else if (len > 0xfd) return null;
+  if (pos + len !== buf.length) return null;
+  const satoshis = buf.readBigUInt64LE(0);
+  if (satoshis > BigInt(Number.MAX_SAFE_INTEGER)) return null;
+  return { satoshis: Number(satoshis), script: buf.subarray(pos) };
+}
+
+// `output` is a parsed output (lib/bsv-tx.cjs) or a locking script (hex or Buffer)
+function decodeOrderLock(output) {
+  const chunks = output.chunks || parseScript(output.script ?? output);
+  if (classifyScript(chunks) !== 'nonstandard') return null;
+
+  for (let i = 0; i + 1 < chunks.length; i++) {
+    const pkh = chunks[i].buf;
+    const pay = chunks[i + 1].buf;
+    if (!pkh || pkh.length !== 20 || !pay || chunks[i + 1].truncated) continue;
+    const payOutput = readPayOutput(pay);
+    if (!payOutput) continue;
+
+    const payChunks = parseScript(payOutput.script);
+    return {
+      seller: pkhToAddress(pkh),
+      price: payOutput.satoshis,
+      payTo: classifyScript(payChunks) === 'p2pkh' ? pkhToAddress(payChunks[2].buf) : null,
+      payScript: payOutput.script.toString('hex'),
+    };
+  }
+  return null;
+}
+
+function listingFields(output) {
+  const lock = decodeOrderLock(output);
+  return { seller: lock?.seller ?? null, price: lock?.price ?? null, payTo: lock?.payTo ?? null };
+}
+
+module.exports = { decodeOrderLock, listingFields };
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decodeOrderLock, listingFields } = require('./orderlock.cjs');
+const { pkhToAddress } = require('./bsv-tx.cjs');
+
+const SELLER = '11'.repeat(20);
+const PAYEE = '22'.repeat(20);
+
+// Minimal pushdata for the lengths used here
+const push = (buf) => Buffer.concat([buf.length < 76 ? Buffer.from([buf.length]) : Buffer.from([0x4c, buf.length]), buf]);
+const u64 = (n) => { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(n)); return b; };
+const p2pkh = (pkh) => Buffer.from(`76a914${pkh}88ac`, 'hex');
+
+// A serialized tx output: satoshis, script length, script
+const payOutput = (sats, script) => Buffer.concat([u64(sats), Buffer.from([script.length]), script]);
+
+// OrderLock-shaped script: contract code around the seller and pay output pushes
+const orderLock = (pay, seller = SELLER) => Buffer.concat([
+  Buffer.from('6b6d6d', 'hex'),
+  push(Buffer.from(seller, 'hex')),
+  push(pay),
+  Buffer.from('7c7eac', 'hex'),
+]);
+
+test('decodes the seller, price and payTo', () => {
+  const script = orderLock(payOutput(50000, p2pkh(PAYEE)));
+  assert.deepEqual(decodeOrderLock(script), {
+    seller: pkhToAddress(SELLER),
+    price: 50000,
+    payTo: pkhToAddress(PAYEE),
+    payScript: p2pkh(PAYEE).toString('hex'),
+  });
+  assert.deepEqual(decodeOrderLock(script.toString('hex')), decodeOrderLock(script));
+});
+
+test('leaves payTo null when the pay output is not P2PKH', () => {
+  const lock = decodeOrderLock(orderLock(payOutput(1234, Buffer.from('a914' + '33'.repeat(20) + '87', 'hex'))));
+  assert.equal(lock.price, 1234);
+  assert.equal(lock.seller, pkhToAddress(SELLER));
+  assert.equal(lock.payTo, null);
+});
+
+test('reads prices above 32 bits', () => {
+  assert.equal(decodeOrderLock(orderLock(payOutput(2 ** 40 + 7, p2pkh(PAYEE)))).price, 2 ** 40 + 7);
+});
+
+test('rejects scripts that are not an OrderLock', () => {
+  assert.equal(decodeOrderLock(p2pkh(SELLER)), null);
+  // A 20-byte push followed by something that is not one serialized output
+  assert.equal(decodeOrderLock(orderLock(Buffer.concat([payOutput(1, p2pkh(PAYEE)), Buffer.from([0])]))), null);
+  assert.equal(decodeOrderLock(orderLock(Buffer.from('00'.repeat(9), 'hex'))), null);
+});
+
+test('listingFields is all null for an output that does not decode', () => {
+  assert.deepEqual(listingFields(p2pkh(SELLER)), { seller: null, price: null, payTo: null });
+  assert.deepEqual(listingFields(orderLock(payOutput(900, p2pkh(PAYEE)))), {
+    seller: pkhToAddress(SELLER),
+    price: 900,
+    payTo: pkhToAddress(PAYEE),
+  });
+});
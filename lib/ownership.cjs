@@ -0,0 +1,143 @@
+'use strict';
+
+// Ledger ownership updates shared by the refresh and block-sync indexers:
+// the owners index helpers, and the one place a spend of an NFT's current
+// location (nft.lastTx:lastVout) is applied to the ledger.
+
+const { locateJig } = require('./jig.cjs');
+const { listingFields } = require('./orderlock.cjs');
+const { classifySpend } = require('./classify.cjs');
+
+// Transfers that move ownership; a burn ends it and a listing only puts the
+// jig in escrow (its seller stays the owner)
+const changesOwner = (t) => t.type !== 'burn' && t.type !== 'list';
+
+function removeFromOwnerIndex(ledger, addr, num) {
+  if (!ledger.owners[addr]) return;
+  ledger.owners[addr] = ledger.owners[addr].filter(n => n !== num);
+  if (ledger.owners[addr].length === 0) delete ledger.owners[addr];
+}
+
+function addToOwnerIndex(ledger, addr, num) {
+  if (!ledger.owners[addr]) ledger.owners[addr] = [];
+  if (!ledger.owners[addr].includes(num)) ledger.owners[addr].push(num);
+}
+
+// Recompute the confirmed owner and pendingOwner from nft.transfers and keep
+// the owners index (confirmed owners only) in step. Unconfirmed transfers
+// (confirmed: false) are always a suffix: a mined tx implies mined parents.
+function settleOwner(ledger, num) {
+  const nft = ledger.nfts[num];
+  let owner = nft.owner;
+  let pendingOwner;
+  for (const t of nft.transfers) {
+    if (!changesOwner(t)) continue;
+    if (t.confirmed === false) pendingOwner = t.to;
+    else { owner = t.to; pendingOwner = undefined; }
+  }
+
+  if (owner !== nft.owner) {
+    removeFromOwnerIndex(ledger, nft.owner, num);
+    addToOwnerIndex(ledger, owner, num);
+    nft.owner = owner;
+  }
+  if (pendingOwner && pendingOwner !== owner) nft.pendingOwner = pendingOwner;
+  else delete nft.pendingOwner;
+}
+
+// Mark transfers[index] mined, along with any pending transfers before it.
+// A sale (purchase) also gets its block time.
+function confirmTransfer(ledger, num, index, { blockheight, blockhash, blocktime, time }) {
+  const transfers = ledger.nfts[num].transfers;
+  for (let i = 0; i <= index; i++) {
+    if (transfers[i].confirmed === false) transfers[i].confirmed = true;
+  }
+  transfers[index].blockHeight = blockheight;
+  transfers[index].blockHash = blockhash;
+  if (transfers[index].class === 'purchase') transfers[index].blockTime = blocktime ?? time ?? null;
+  settleOwner(ledger, num);
+}
+
+// The sale fields of a purchase out of `listing` (the 'list' transfer it
+// bought from): seller, price and block time (unix seconds; null until mined).
+// The buyer is the transfer's `to`.
+function saleFields(listing, tx) {
+  return {
+    seller: listing.seller ?? listing.from,
+    price: listing.price ?? null,
+    blockTime: tx.blockheight > 0 ? tx.time ?? null : null,
+  };
+}
+
+// Apply a parsed tx that spends the NFT's current location. The jig is found
+// from the Run payload (jig.locateJig); nft.locationConfidence and each new
+// transfer record whether that took a fallback to the output heuristic, and
+// a transfer whose tx has an invalid Run payload records the error (runError).
+// Every spend is recorded as a transfer, with its class and evidence
+// (classify.classifySpend).
+// A new location drops nft.lastProof, which proved the old one.
+// Mempool txs (no blockheight) are recorded with confirmed: false; they move
+// pendingOwner, not owner, until promoted by confirmTransfer.
+// Returns what happened to the jig:
+//   'burned'  the tx destroys the jig (melt, or a sweep outside Run) — owner kept, NFT marked burned
+//   'listed'  moved into an OrderLock — marketplace escrow, owner unchanged;
+//             recorded as a 'list' transfer with the lock's seller, price and payTo
+//   'sent'    moved to a different address; a purchase also records the
+//             sale (saleFields)
+//   'moved'   moved but stayed with the same owner (a 'move' transfer, e.g. a cancelled listing)
+function applySpend(ledger, num, spendTx) {
+  const nft = ledger.nfts[num];
+  const spent = nft.lastVout !== undefined ? { txid: nft.lastTx, vout: nft.lastVout } : undefined;
+  const jig = locateJig(spendTx, spent);
+  const confirmed = spendTx.blockheight > 0;
+  const current = nft.pendingOwner ?? nft.owner;
+  const last = nft.transfers[nft.transfers.length - 1];
+  const listing = last?.type === 'list' && last.txid === nft.lastTx ? last : null;
+  const { class: cls, evidence } = classifySpend(spendTx, { spent, jig, owner: current, listing });
+
+  if (confirmed) {
+    for (const t of nft.transfers) if (t.confirmed === false) t.confirmed = true;
+  }
+
+  const record = (type, fields) => nft.transfers.push({
+    txid: spendTx.txid,
+    type,
+    from: current,
+    ...fields,
+    blockHeight: spendTx.blockheight,
+    blockHash: spendTx.blockhash,
+    confirmed,
+    confidence: jig.confidence,
+    ...(jig.runError && { runError: jig.runError }),
+    class: cls,
+    evidence,
+  });
+
+  let outcome;
+  if (jig.burned) {
+    nft.burned = true;
+    nft.burnTx = spendTx.txid;
+    record('burn', {});
+    outcome = 'burned';
+  } else {
+    nft.lastTx = spendTx.txid;
+    nft.lastVout = jig.vout;
+    delete nft.lastProof; // proved the old lastTx (proofs.cjs)
+    nft.locationConfidence = jig.confidence;
+    if (jig.isOrderLock) {
+      record('list', listingFields(spendTx.outputs[jig.vout]));
+      outcome = 'listed';
+    } else if (!jig.addr || jig.addr === current) {
+      record('move', { to: current });
+      outcome = 'moved';
+    } else {
+      record('send', { to: jig.addr, ...(cls === 'purchase' && saleFields(listing, spendTx)) });
+      outcome = 'sent';
+    }
+  }
+
+  settleOwner(ledger, num);
+  return outcome;
+}
+
+module.exports = { applySpend, confirmTransfer, settleOwner, changesOwner, saleFields, addToOwnerIndex, removeFromOwnerIndex };
@@ -0,0 +1,21 @@
+'use strict';
+
+// Minimal worker pool: run `worker(item, index)` over items with at most
+// `concurrency` in flight. Rate limiting is the chain client's job; the pool
+// only bounds parallelism. Worker errors are the worker's to handle.
+
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const size = Math.max(1, Math.min(concurrency, items.length));
+
+  async function run() {
+    while (next < items.length) {
+      const i = next++;
+      await worker(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: size }, run));
+}
+
+module.exports = { runPool };
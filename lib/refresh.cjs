@@ -0,0 +1,251 @@
+'use strict';
+
+// Ownership refresh. Picks each NFT up from its lastTx instead of re-tracing
+// from mint: spent status for every lastTx:lastVout is checked in bulk
+// batches, and only the NFTs whose output moved are traced forward. NFTs that
+// fail are queued and retried after the main pass.
+//
+// The ledger is updated in place; `save` is called every 10 changes and after
+// each pass. refresh-owners.cjs is the CLI around it.
+
+const { sleep } = require('./chain/client.cjs');
+const { lastVoutOf } = require('./jig.cjs');
+const { applySpend, confirmTransfer } = require('./ownership.cjs');
+const { recentTransfers, dropTransfersFrom } = require('./reorg.cjs');
+const { runPool } = require('./pool.cjs');
+
+const RETRY_ROUNDS = 2;
+const RETRY_DELAY_MS = 5000; // cool down before each retry round
+
+function createRefresher(ledger, chain, {
+  concurrency = 4,
+  retryRounds = RETRY_ROUNDS,
+  retryDelayMs = RETRY_DELAY_MS,
+  save = () => {},
+  log = console.log,
+  logError = console.error,
+} = {}) {
+  const spentBatch = chain.provider.bulkLimit || 20; // outpoints per bulk spent request
+  const prefetched = new Map(); // txid → parsed tx from the bulk pass
+
+  function getTx(txid) {
+    if (prefetched.has(txid)) return Promise.resolve(prefetched.get(txid));
+    return chain.getParsedTx(txid);
+  }
+
+  // Resolve the vout of the jig in lastTx (only if not cached)
+  async function resolveLastVout(nft) {
+    if (nft.lastVout !== undefined) return nft.lastVout;
+    const tx = nft.lastTx === nft.mintTxid ? null : await getTx(nft.lastTx);
+    const result = lastVoutOf(nft, tx);
+    if (result) Object.assign(nft, { lastVout: result.vout, locationConfidence: result.confidence });
+    return result ? result.vout : null;
+  }
+
+  // Process a single NFT — returns 'unchanged' | 'changed' | 'burned' | 'skip'
+  // knownSpender comes from the bulk pass (null = unspent); undefined looks it up.
+  // Follows the jig forward hop by hop until its output is unspent or burned.
+  async function processNFT(num, knownSpender) {
+    const nft = ledger.nfts[num];
+    if (!nft.lastTx) return 'skip';
+    if (nft.burned) return 'unchanged'; // already marked burned, skip
+
+    const lastVout = await resolveLastVout(nft);
+    if (lastVout === null) throw new Error('could not resolve vout in lastTx');
+
+    let spendingTxid = knownSpender !== undefined ? knownSpender : await chain.getSpender(nft.lastTx, lastVout);
+    if (!spendingTxid) return 'unchanged';
+
+    const oldOwner = nft.owner;
+    let hops = 0;
+    while (spendingTxid && hops < 100) {
+      const spendTx = await getTx(spendingTxid);
+      if (!spendTx) throw new Error('could not fetch spending tx');
+      hops++;
+
+      if (applySpend(ledger, num, spendTx) === 'burned') {
+        // No jig output = burn (consolidation sweep destroyed the jig)
+        log(`#${num}: BURNED in ${spendingTxid.slice(0, 12)}… (owner unchanged: ${nft.owner})`);
+        return 'burned';
+      }
+      spendingTxid = await chain.getSpender(nft.lastTx, nft.lastVout);
+    }
+
+    const pending = nft.pendingOwner ? ` (pending → ${nft.pendingOwner})` : '';
+    log(`#${num}: moved! ${hops} hops → ${nft.owner}${nft.owner === oldOwner ? ' (same owner)' : ''}${pending}`);
+    return 'changed';
+  }
+
+  // Re-confirm unconfirmed and recently mined transfers. A pending transfer, or
+  // one whose block is no longer on the best chain, is looked up again: mined →
+  // promoted / its block updated; gone (dropped or double-spent) → the NFT is
+  // rolled back to before it and traced forward again by the passes below.
+  async function checkRecentTransfers() {
+    let tip;
+    try {
+      tip = (await chain.getChainInfo()).blocks;
+    } catch (e) {
+      logError(`Reorg check skipped: ${e.message}`);
+      return { checked: 0, promoted: 0, dropped: 0 };
+    }
+    const recent = recentTransfers(ledger, tip);
+    const blockHashes = new Map(); // height → hash on the best chain
+    let promoted = 0;
+    let dropped = 0;
+
+    for (const { num, index, transfer } of recent) {
+      if (ledger.nfts[num].transfers[index] !== transfer) continue; // gone with an earlier dropped transfer
+      if (transfer.confirmed !== false && transfer.blockHeight) {
+        if (!blockHashes.has(transfer.blockHeight)) blockHashes.set(transfer.blockHeight, await chain.getBlockHash(transfer.blockHeight));
+        if (blockHashes.get(transfer.blockHeight) === transfer.blockHash) continue;
+      }
+
+      if (chain.txCache) chain.txCache.remove(transfer.txid);
+      const tx = await chain.getTx(transfer.txid);
+      if (tx && tx.blockheight > 0) {
+        if (transfer.confirmed === false) promoted++;
+        confirmTransfer(ledger, num, index, tx);
+        continue;
+      }
+      if (tx) continue; // still in the mempool
+      log(`#${num}: ${transfer.type} ${transfer.txid.slice(0, 12)}… no longer on chain — rolled back to ${ledger.nfts[num].transfers[index - 1]?.txid.slice(0, 12) ?? 'mint'}…`);
+      dropTransfersFrom(ledger, num, index);
+      dropped++;
+    }
+    return { checked: recent.length, promoted, dropped };
+  }
+
+  // Refresh every NFT in the ledger. Returns the run's counts and the NFTs
+  // still failing after the retry rounds (`unresolved`).
+  async function refreshAll() {
+    const nums = Object.keys(ledger.nfts).map(Number).sort((a, b) => a - b);
+    let checked = 0;
+    let changed = 0;
+    let burned = 0;
+    let errors = 0;
+    const failedNFTs = []; // retry queue
+
+    // Node RPC provider: bring the local spent index up to the chain tip first
+    const spentIndex = chain.provider.spentIndex;
+    if (spentIndex) {
+      const { rescanFrom } = spentIndex.seedFromLedger(ledger);
+      if (rescanFrom !== null) log(`Spent index: new watches predate the cursor, rescanning from block ${rescanFrom}`);
+      const synced = await spentIndex.sync(chain);
+      log(`Spent index synced: ${synced.scanned} blocks scanned, height ${synced.height}\n`);
+    }
+
+    const reorg = await checkRecentTransfers();
+    if (reorg.checked > 0) log(`Reorg check: ${reorg.checked} recent transfers, ${reorg.promoted} promoted, ${reorg.dropped} dropped\n`);
+    if (reorg.promoted > 0 || reorg.dropped > 0) save();
+
+    log(`Checking ${nums.length} NFTs for ownership changes (${concurrency} workers)...\n`);
+
+    // --- Bulk pass: resolve missing lastVouts, then spent status in batches ---
+    const live = nums.filter(n => ledger.nfts[n].lastTx && !ledger.nfts[n].burned);
+    const needVout = live.filter(n => ledger.nfts[n].lastVout === undefined);
+    if (needVout.length > 0) {
+      try {
+        const txs = await chain.getParsedTxs(needVout.map(n => ledger.nfts[n].lastTx));
+        needVout.forEach((num, i) => {
+          const nft = ledger.nfts[num];
+          const jig = txs[i] && lastVoutOf(nft, txs[i]);
+          if (jig) Object.assign(nft, { lastVout: jig.vout, locationConfidence: jig.confidence });
+        });
+      } catch (e) {
+        logError(`Bulk lastVout lookup failed (${e.message}), resolving individually`);
+      }
+    }
+
+    const spenders = new Map(); // num → spending txid | null (unspent)
+    const withVout = live.filter(n => ledger.nfts[n].lastVout !== undefined);
+    const batches = [];
+    for (let i = 0; i < withVout.length; i += spentBatch) batches.push(withVout.slice(i, i + spentBatch));
+    let spentChecked = 0;
+    await runPool(batches, concurrency, async (batch) => {
+      try {
+        const results = await chain.getSpenders(batch.map(n => ({ txid: ledger.nfts[n].lastTx, vout: ledger.nfts[n].lastVout })));
+        batch.forEach((num, j) => { if (results[j] !== undefined) spenders.set(num, results[j]); });
+      } catch (e) {
+        logError(`Bulk spent check failed for #${batch[0]}–#${batch[batch.length - 1]}: ${e.message}`);
+      }
+      spentChecked += batch.length;
+      if (spentChecked % 200 < batch.length || spentChecked === withVout.length) {
+        log(`[${new Date().toISOString()}] spent check ${spentChecked}/${withVout.length} | delay ${chain.delayMs}ms`);
+      }
+    });
+
+    // Only moved outputs (and ones the bulk pass could not answer) need tracing
+    const unchanged = new Set(nums.filter(n => spenders.get(n) === null || !ledger.nfts[n].lastTx || ledger.nfts[n].burned));
+    const toProcess = nums.filter(n => !unchanged.has(n));
+    checked += unchanged.size;
+
+    const moved = toProcess.map(n => spenders.get(n)).filter(Boolean);
+    if (moved.length > 0) {
+      try {
+        const txs = await chain.getParsedTxs(moved);
+        moved.forEach((txid, i) => { if (txs[i]) prefetched.set(txid, txs[i]); });
+      } catch (e) {
+        logError(`Bulk fetch of spending txs failed (${e.message}), fetching individually`);
+      }
+    }
+    log(`\n${unchanged.size} unchanged, ${moved.length} moved, ${toProcess.length - moved.length} to check individually\n`);
+
+    // --- Main pass ---
+    await runPool(toProcess, concurrency, async (num) => {
+      checked++;
+      try {
+        const result = await processNFT(num, spenders.get(num));
+        if (result === 'changed') {
+          changed++;
+          if (changed % 10 === 0) {
+            save();
+            log(`[${new Date().toISOString()}] SAVED | ${checked}/${nums.length} checked, ${changed} changed, ${Object.keys(ledger.owners).length} owners`);
+          }
+        } else if (result === 'burned') {
+          burned++;
+          if (burned % 10 === 0) save();
+        } else if (checked % 50 === 0) {
+          log(`[${new Date().toISOString()}] checked ${checked}/${nums.length} | ${changed} changed | ${burned} burned | ${errors} errors | #${num} unchanged`);
+        }
+      } catch (e) {
+        logError(`#${num} error: ${e.message}`);
+        errors++;
+        failedNFTs.push(num);
+      }
+    });
+
+    save();
+    log(`\nMain pass done. ${checked} checked, ${changed} changed, ${errors} errors.`);
+
+    // --- Retry pass ---
+    for (let round = 1; round <= retryRounds && failedNFTs.length > 0; round++) {
+      const retryList = [...failedNFTs];
+      failedNFTs.length = 0;
+      log(`\n--- Retry round ${round}: ${retryList.length} NFTs ---`);
+      await sleep(retryDelayMs);
+
+      await runPool(retryList, concurrency, async (num) => {
+        try {
+          const result = await processNFT(num);
+          if (result === 'changed') {
+            changed++;
+            log(`  #${num}: resolved (changed)`);
+          } else {
+            log(`  #${num}: resolved (unchanged)`);
+          }
+          errors--;
+        } catch (e) {
+          logError(`  #${num} retry error: ${e.message}`);
+          failedNFTs.push(num);
+        }
+      });
+      save();
+    }
+
+    return { checked, changed, burned, unresolved: failedNFTs, reorg };
+  }
+
+  return { processNFT, checkRecentTransfers, refreshAll };
+}
+
+module.exports = { createRefresher, RETRY_ROUNDS, RETRY_DELAY_MS };
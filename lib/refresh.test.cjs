@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createChainClient } = require('./chain/client.cjs');
+const { createRefresher } = require('./refresh.cjs');
+
+// Replay session over a hand-built chain (see README, Tests): #1 sent twice
+// (the second send in the mempool), #2 listed and bought, #3 moved without a
+// Run payload and then swept, #4 listed without a Run payload
+const SESSION = path.join(__dirname, '..', 'test', 'fixtures', 'replay', 'constructed');
+const S = require(path.join(SESSION, 'session.json'));
+
+const replay = (faults) => createChainClient({
+  provider: 'replay',
+  providerOptions: { dir: SESSION, faults: faults || [] },
+  retries: 0,
+  delayMs: 0,
+  minDelayMs: 0,
+  log: () => {},
+});
+
+// Every NFT still at its mint, as the session's refresh started
+function mintedLedger() {
+  const nfts = {};
+  for (const [num, txid] of Object.entries(S.mints)) {
+    nfts[num] = {
+      number: Number(num),
+      mintTxid: txid,
+      jigRef: `${txid}_o3`,
+      owner: S.minter,
+      lastTx: txid,
+      lastVout: 3,
+      locationConfidence: 'run',
+      transfers: [{ txid, type: 'mint', to: S.minter }],
+    };
+  }
+  return { nfts, owners: { [S.minter]: [1, 2, 3, 4] } };
+}
+
+function refresher(ledger, chain, options = {}) {
+  const lines = [];
+  const log = (line) => lines.push(line);
+  return { lines, ...createRefresher(ledger, chain, { retryDelayMs: 0, log, logError: log, ...options }) };
+}
+
+test('follows each NFT forward from its mint', async () => {
+  const ledger = mintedLedger();
+  const { processNFT } = refresher(ledger, replay());
+
+  assert.equal(await processNFT(1), 'changed');
+  assert.equal(await processNFT(2), 'changed');
+  assert.equal(await processNFT(3), 'burned');
+  assert.equal(await processNFT(4), 'changed');
+  assert.equal(await processNFT(3), 'unchanged');
+
+  assert.equal(ledger.nfts[1].owner, S.holder);
+  assert.equal(ledger.nfts[1].pendingOwner, S.third);
+  assert.deepEqual(ledger.nfts[2].transfers.map(t => t.class), [undefined, 'list', 'purchase']);
+  assert.equal(ledger.nfts[3].burnTx, S.sweep);
+  assert.equal(ledger.nfts[4].locationConfidence, 'heuristic');
+  assert.deepEqual(ledger.owners, { [S.holder]: [1, 3], [S.buyer]: [2], [S.minter]: [4] });
+});
+
+test('refreshes the whole ledger from the bulk spent check', async () => {
+  const ledger = mintedLedger();
+  const chain = replay();
+  let saves = 0;
+  const summary = await refresher(ledger, chain, { save: () => saves++ }).refreshAll();
+
+  assert.deepEqual(summary, {
+    checked: 4,
+    changed: 3,
+    burned: 1,
+    unresolved: [],
+    reorg: { checked: 0, promoted: 0, dropped: 0 },
+  });
+  assert.ok(saves > 0);
+  assert.equal(ledger.nfts[2].owner, S.buyer);
+  assert.equal(ledger.nfts[4].lastTx, S.bareList);
+});
+
+test('re-checks recent and pending transfers on the next run', async () => {
+  const ledger = mintedLedger();
+  const r = refresher(ledger, replay());
+  await r.refreshAll();
+  const summary = await r.refreshAll();
+
+  // The listing of #4 is within REORG_DEPTH of the tip and its block still
+  // matches; the mempool send stays pending
+  assert.deepEqual(summary.reorg, { checked: 2, promoted: 0, dropped: 0 });
+  assert.equal(summary.changed, 0);
+  assert.equal(ledger.nfts[1].pendingOwner, S.third);
+});
+
+test('queues an NFT that fails and resolves it in a retry round', async () => {
+  const ledger = mintedLedger();
+  const r = refresher(ledger, replay([{ match: `/tx/${S.move}/1/spent`, status: 500, times: 1 }]));
+  const summary = await r.refreshAll();
+
+  assert.deepEqual(summary.unresolved, []);
+  assert.ok(r.lines.some(l => /^#3 error: WoC 500/.test(l)));
+  assert.ok(r.lines.some(l => /Retry round 1: 1 NFTs/.test(l)));
+  assert.equal(ledger.nfts[3].burned, true);
+  assert.deepEqual(ledger.nfts[3].transfers.map(t => t.txid), [S.mints[3], S.move, S.sweep]);
+});
+
+test('reports NFTs still failing after the retry rounds', async () => {
+  const ledger = mintedLedger();
+  const r = refresher(ledger, replay([{ match: `/tx/${S.move}/1/spent`, status: 500 }]));
+  const summary = await r.refreshAll();
+
+  assert.deepEqual(summary.unresolved, [3]);
+  assert.equal(r.lines.filter(l => /#3 retry error/.test(l)).length, 2);
+  // The hop made before the failure is kept
+  assert.equal(ledger.nfts[3].lastTx, S.move);
+  assert.equal(ledger.nfts[3].burned, undefined);
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+// Chain reorganization handling for the ledger.
+//
+// Block sync keeps an undo record for each of the last REORG_DEPTH blocks it
+// applied in ledger.recentBlocks:
+//   [{ height, hash, undo: { num: { owner, pendingOwner, lastTx, lastVout, locationConfidence, burned, burnTx, transfers, pending } } }]
+// where each undo entry is the NFT as it was before that block touched it
+// (`transfers` is the length of nft.transfers at the time, `pending` the
+// indexes of transfers that were still unconfirmed). When a new block
+// does not build on the last one synced, the fork point is found by comparing
+// these hashes with the node's, and the orphaned blocks are undone newest-first
+// before the new branch is applied.
+//
+// The polling refresh has no block journal, so it checks recently confirmed
+// transfers (and unconfirmed ones) against their recorded blockHash instead and
+// drops the ones whose tx is no longer known (dropTransfersFrom).
+
+const { addToOwnerIndex, removeFromOwnerIndex, settleOwner } = require('./ownership.cjs');
+
+const REORG_DEPTH = 100;
+
+function snapshotNFT(nft) {
+  return {
+    owner: nft.owner,
+    pendingOwner: nft.pendingOwner,
+    lastTx: nft.lastTx,
+    lastVout: nft.lastVout,
+    locationConfidence: nft.locationConfidence,
+    burned: !!nft.burned,
+    burnTx: nft.burnTx,
+    transfers: nft.transfers.length,
+    pending: nft.transfers.flatMap((t, i) => (t.confirmed === false ? [i] : [])),
+  };
+}
+
+function restoreNFT(ledger, num, snap) {
+  const nft = ledger.nfts[num];
+  if (nft.owner !== snap.owner) {
+    removeFromOwnerIndex(ledger, nft.owner, num);
+    addToOwnerIndex(ledger, snap.owner, num);
+    nft.owner = snap.owner;
+  }
+  if (snap.pendingOwner === undefined) delete nft.pendingOwner;
+  else nft.pendingOwner = snap.pendingOwner;
+  nft.lastTx = snap.lastTx;
+  delete nft.lastProof; // its block may be the orphaned one
+  if (snap.lastVout === undefined) delete nft.lastVout;
+  else nft.lastVout = snap.lastVout;
+  if (snap.locationConfidence === undefined) delete nft.locationConfidence;
+  else nft.locationConfidence = snap.locationConfidence;
+  if (snap.burned) {
+    nft.burned = true;
+    nft.burnTx = snap.burnTx;
+  } else {
+    delete nft.burned;
+    delete nft.burnTx;
+  }
+  nft.transfers.length = snap.transfers;
+  for (const i of snap.pending || []) {
+    // promoted by an orphaned block: back to the mempool
+    const t = nft.transfers[i];
+    t.confirmed = false;
+    delete t.blockHeight;
+    delete t.blockHash;
+    if ('blockTime' in t) t.blockTime = null;
+  }
+}
+
+// Append an applied block (and its undo data) to the journal
+function recordBlock(ledger, height, hash, undo) {
+  if (!ledger.recentBlocks) ledger.recentBlocks = [];
+  ledger.recentBlocks.push({ height, hash, undo });
+  if (ledger.recentBlocks.length > REORG_DEPTH) ledger.recentBlocks.splice(0, ledger.recentBlocks.length - REORG_DEPTH);
+}
+
+// Highest journaled height whose hash is still on the node's best chain
+async function findForkHeight(ledger, chain) {
+  const journal = ledger.recentBlocks || [];
+  for (let i = journal.length - 1; i >= 0; i--) {
+    const { height, hash } = journal[i];
+    if (await chain.getBlockHash(height) === hash) return height;
+  }
+  throw new Error(`Reorg deeper than the ${journal.length} blocks journaled — rebuild ownership with refresh-owners.cjs, then sync again with --from`);
+}
+
+// Undo every journaled block above `height`; returns the NFT numbers touched
+function rollbackTo(ledger, height) {
+  const journal = ledger.recentBlocks || [];
+  const touched = new Set();
+  while (journal.length > 0 && journal[journal.length - 1].height > height) {
+    const { undo } = journal.pop();
+    for (const [num, snap] of Object.entries(undo)) {
+      restoreNFT(ledger, Number(num), snap);
+      touched.add(Number(num));
+    }
+  }
+  const top = journal[journal.length - 1];
+  ledger.syncedHeight = height;
+  ledger.syncedHash = top && top.height === height ? top.hash : null;
+  return [...touched];
+}
+
+// Remove transfers[index] and everything after it, returning the NFT to the
+// state before that transfer. lastVout is cleared so it is re-resolved from
+// the restored lastTx, and the refresh traces forward from there again;
+// lastProof is cleared with it.
+function dropTransfersFrom(ledger, num, index) {
+  const nft = ledger.nfts[num];
+  const prev = nft.transfers[index - 1];
+  nft.transfers.length = index;
+  nft.lastTx = prev ? prev.txid : nft.mintTxid;
+  delete nft.lastProof;
+  delete nft.lastVout;
+  delete nft.locationConfidence;
+  delete nft.burned;
+  delete nft.burnTx;
+  settleOwner(ledger, num);
+}
+
+// Transfers the refresh should re-check: unconfirmed ones (to promote them
+// once mined), and confirmed ones within REORG_DEPTH of the tip.
+// Returns [{ num, index, transfer }].
+function recentTransfers(ledger, tipHeight) {
+  const out = [];
+  for (const [num, nft] of Object.entries(ledger.nfts)) {
+    (nft.transfers || []).forEach((t, index) => {
+      if (t.type === 'mint') return;
+      if (t.confirmed === false || !t.blockHeight || t.blockHeight > tipHeight - REORG_DEPTH) out.push({ num: Number(num), index, transfer: t });
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  REORG_DEPTH,
+  snapshotNFT,
+  recordBlock,
+  findForkHeight,
+  rollbackTo,
+  dropTransfersFrom,
+  recentTransfers,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REORG_DEPTH, snapshotNFT, recordBlock, findForkHeight, rollbackTo, dropTransfersFrom, recentTransfers } = require('./reorg.cjs');
+const { confirmTransfer, removeFromOwnerIndex, addToOwnerIndex } = require('./ownership.cjs');
+
+const A = '1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const B = '1BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const C = '1CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+
+const hash = (height, branch = 'a') => branch.repeat(4) + String(height).padStart(60, '0');
+
+// #1 at A, with a send to B waiting in the mempool; #2 at A. Synced to 100.
+function ledger() {
+  return {
+    syncedHeight: 100,
+    syncedHash: hash(100),
+    recentBlocks: [{ height: 100, hash: hash(100), undo: {} }],
+    owners: { [A]: [1, 2] },
+    nfts: {
+      1: {
+        number: 1, mintTxid: 'm1', owner: A, pendingOwner: B, lastTx: 's1', lastVout: 1, locationConfidence: 'run',
+        transfers: [
+          { txid: 'm1', type: 'mint', to: A, blockHeight: 90 },
+          { txid: 's1', type: 'send', class: 'purchase', from: A, to: B, confirmed: false, blockTime: null },
+        ],
+      },
+      2: {
+        number: 2, mintTxid: 'm2', owner: A, lastTx: 'm2', lastVout: 3, locationConfidence: 'run', lastProof: { txid: 'm2' },
+        transfers: [{ txid: 'm2', type: 'mint', to: A, blockHeight: 91 }],
+      },
+    },
+  };
+}
+
+// Apply a block the way block sync does: snapshot each NFT it touches first
+function applyBlock(l, height, branch, changes) {
+  const undo = {};
+  for (const [num, change] of Object.entries(changes)) {
+    undo[num] = snapshotNFT(l.nfts[num]);
+    change(l);
+  }
+  recordBlock(l, height, hash(height, branch), undo);
+  l.syncedHeight = height;
+  l.syncedHash = hash(height, branch);
+}
+
+// Block 101 mines #1's pending send; block 102 burns #2
+function applyBranch(l) {
+  applyBlock(l, 101, 'a', {
+    1: (ld) => confirmTransfer(ld, 1, 1, { blockheight: 101, blockhash: hash(101), blocktime: 1700000000 }),
+  });
+  applyBlock(l, 102, 'a', {
+    2: (ld) => {
+      const nft = ld.nfts[2];
+      nft.transfers.push({ txid: 'b2', type: 'burn', from: A, blockHeight: 102, blockHash: hash(102) });
+      Object.assign(nft, { burned: true, burnTx: 'b2', lastTx: 'b2' });
+      delete nft.lastVout;
+      delete nft.lastProof;
+    },
+  });
+}
+
+test('rollbackTo undoes the journaled blocks above the fork', () => {
+  const l = ledger();
+  const original = structuredClone(l);
+  applyBranch(l);
+
+  assert.equal(l.nfts[1].owner, B);
+  assert.equal(l.nfts[1].transfers[1].blockTime, 1700000000);
+  assert.equal(l.nfts[2].burned, true);
+
+  assert.deepEqual(rollbackTo(l, 100).sort(), [1, 2]);
+  assert.equal(l.syncedHeight, 100);
+  assert.equal(l.syncedHash, hash(100));
+  assert.deepEqual(l.recentBlocks, original.recentBlocks);
+  // Back to the mempool: unconfirmed, no block, no block time
+  assert.deepEqual(l.nfts[1].transfers, original.nfts[1].transfers);
+  assert.equal(l.nfts[1].owner, A);
+  assert.equal(l.nfts[1].pendingOwner, B);
+  // lastProof is dropped with the block it may have pointed into
+  const { lastProof, ...nft2 } = original.nfts[2];
+  assert.deepEqual(l.nfts[2], nft2);
+  // #1 is re-added to A's entry
+  assert.deepEqual(l.owners, { [A]: [2, 1] });
+});
+
+test('rollbackTo stops at the fork and keeps blocks below it', () => {
+  const l = ledger();
+  applyBranch(l);
+  assert.deepEqual(rollbackTo(l, 101), [2]);
+  assert.equal(l.syncedHash, hash(101));
+  assert.equal(l.nfts[1].owner, B);
+  assert.equal(l.nfts[2].burned, undefined);
+  // Below the journal there is no hash to resume from
+  assert.deepEqual(rollbackTo(l, 50), [1]);
+  assert.equal(l.syncedHash, null);
+});
+
+test('restores an owner changed by an orphaned block in the owners index', () => {
+  const l = ledger();
+  applyBlock(l, 101, 'a', {
+    2: (ld) => {
+      removeFromOwnerIndex(ld, A, 2);
+      addToOwnerIndex(ld, C, 2);
+      ld.nfts[2].owner = C;
+      ld.nfts[2].transfers.push({ txid: 's2', type: 'send', from: A, to: C, blockHeight: 101 });
+    },
+  });
+  assert.deepEqual(l.owners, { [A]: [1], [C]: [2] });
+  rollbackTo(l, 100);
+  assert.deepEqual(l.owners, { [A]: [1, 2] });
+  assert.equal(l.nfts[2].transfers.length, 1);
+});
+
+test('findForkHeight finds the newest journaled block still on the best chain', async () => {
+  const l = ledger();
+  applyBranch(l);
+  // The node's best chain replaced 102
+  const chain = { getBlockHash: async (height) => hash(height, height >= 102 ? 'b' : 'a') };
+  assert.equal(await findForkHeight(l, chain), 101);
+
+  const deeper = { getBlockHash: async (height) => hash(height, 'b') };
+  await assert.rejects(findForkHeight(l, deeper), /Reorg deeper than the 3 blocks journaled/);
+});
+
+test('recordBlock keeps REORG_DEPTH blocks', () => {
+  const l = { recentBlocks: [] };
+  for (let h = 1; h <= REORG_DEPTH + 5; h++) recordBlock(l, h, hash(h), {});
+  assert.equal(l.recentBlocks.length, REORG_DEPTH);
+  assert.equal(l.recentBlocks[0].height, 6);
+});
+
+// #1 minted to A, sold to B, then sent to C and on to A in the mempool
+function spentLedger() {
+  return {
+    owners: { [B]: [1] },
+    nfts: {
+      1: {
+        number: 1, mintTxid: 'm1', owner: B, pendingOwner: A, lastTx: 's3', lastVout: 1, locationConfidence: 'run', lastProof: { txid: 's3' },
+        transfers: [
+          { txid: 'm1', type: 'mint', to: A, blockHeight: 90 },
+          { txid: 's1', type: 'send', from: A, to: B, blockHeight: 95 },
+          { txid: 's2', type: 'send', from: B, to: C, confirmed: false },
+          { txid: 's3', type: 'send', from: C, to: A, confirmed: false },
+        ],
+      },
+    },
+  };
+}
+
+test('dropTransfersFrom restores pendingOwner from the pending transfers left', () => {
+  const l = spentLedger();
+  dropTransfersFrom(l, 1, 3);
+  const nft = l.nfts[1];
+  assert.deepEqual([nft.owner, nft.pendingOwner, nft.lastTx], [B, C, 's2']);
+  assert.equal(nft.lastVout, undefined);
+  assert.equal(nft.locationConfidence, undefined);
+  assert.equal(nft.lastProof, undefined);
+
+  dropTransfersFrom(l, 1, 2);
+  assert.deepEqual([nft.owner, nft.pendingOwner, nft.lastTx], [B, undefined, 's1']);
+  assert.deepEqual(l.owners, { [B]: [1] });
+});
+
+test('dropTransfersFrom restores the owner before a dropped confirmed transfer', () => {
+  const l = spentLedger();
+  dropTransfersFrom(l, 1, 1);
+  const nft = l.nfts[1];
+  assert.deepEqual([nft.owner, nft.pendingOwner, nft.lastTx], [A, undefined, 'm1']);
+  assert.deepEqual(l.owners, { [A]: [1] });
+});
+
+test('dropTransfersFrom un-burns an NFT whose burn was dropped', () => {
+  const l = ledger();
+  const nft = l.nfts[2];
+  nft.transfers.push({ txid: 'b2', type: 'burn', from: A, blockHeight: 102 });
+  Object.assign(nft, { burned: true, burnTx: 'b2', lastTx: 'b2' });
+  dropTransfersFrom(l, 2, 1);
+  assert.deepEqual([nft.owner, nft.lastTx, nft.burned, nft.burnTx], [A, 'm2', undefined, undefined]);
+});
+
+test('recentTransfers lists pending transfers and those near the tip', () => {
+  const l = spentLedger();
+  assert.deepEqual(recentTransfers(l, 194).map(r => r.transfer.txid), ['s1', 's2', 's3']);
+  assert.deepEqual(recentTransfers(l, 195).map(r => [r.num, r.index]), [[1, 2], [1, 3]]);
+});
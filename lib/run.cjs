@@ -0,0 +1,302 @@
+'use strict';
+
+// Run protocol metadata decoder. A Run transaction carries one output
+//   OP_FALSE OP_RETURN 'run' <version> <app> <payload JSON>
+// where the payload has exactly these keys:
+//   in    number of jig inputs (the tx's first `in` inputs)
+//   ref   locations of jigs read but not spent ('<txid>_o<n>', 'native://Jig', ...)
+//   out   state hashes of the jig outputs, which follow the Run output in order
+//   del   state hashes of jigs deleted by the tx
+//   cre   owners of the jigs the tx creates, in creation order (encoded values)
+//   exec  actions, each { op, data }:
+//           DEPLOY   [src, props, src, props, ...]  one new code jig per pair
+//           UPGRADE  [jig, src, props]
+//           CALL     [jig, method, args]
+//           NEW      [class, args]
+//
+// Values in exec data and cre use Run's codec. Special objects carry one
+// $-key: { $jig: n } names the n-th jig of the tx — inputs first, then refs,
+// then jigs created by this tx in creation order; { $arb, T } is an instance of
+// a non-jig class T; { $dup: path } repeats an earlier object, found by
+// following `path` from the root of the value being decoded. Also $und, $n0,
+// $nan, $inf, $ninf, $obj, $arr, $set, $map and $ui8a.
+//
+// decodeRun resolves jig references to
+//   { $jig: n, kind: 'input', location }   a spent jig (its input outpoint)
+//   { $jig: n, kind: 'ref', location }     a read-only reference
+//   { $jig: n, kind: 'created', index }    the index-th jig created by the tx
+// and keeps arbitrary objects as { $arb: props, T: <jig ref> }.
+
+const { opReturnData } = require('./bsv-tx.cjs');
+
+const RUN_PREFIX = 'run';
+const PAYLOAD_KEYS = ['in', 'ref', 'out', 'del', 'cre', 'exec'];
+
+function runError(message) {
+  const err = new Error(message);
+  err.code = 'RUN_INVALID';
+  return err;
+}
+
+// ── Codec ───────────────────────────────────────────────────────────────────
+
+const isObject = (x) => typeof x === 'object' && x !== null && !Array.isArray(x);
+
+// Decode one encoded value. `jigRef(n)` resolves { $jig: n }.
+function decodeValue(encoded, jigRef) {
+  const root = encoded;
+  const decoded = new Map(); // encoded node → decoded value, for $dup
+
+  function walk(x) {
+    if (x === null || typeof x !== 'object') {
+      if (typeof x === 'number' && !Number.isFinite(x)) throw runError(`Unsupported number ${x}`);
+      return x;
+    }
+
+    if (Array.isArray(x)) {
+      const arr = [];
+      decoded.set(x, arr);
+      for (const item of x) arr.push(walk(item));
+      return arr;
+    }
+
+    const keys = Object.keys(x);
+    const special = keys.filter(k => k.startsWith('$'));
+    if (special.length > 1) throw runError(`Multiple $ keys in ${JSON.stringify(x)}`);
+    const kind = special[0];
+
+    switch (kind) {
+      case undefined: {
+        const obj = {};
+        decoded.set(x, obj);
+        for (const k of keys) obj[k] = walk(x[k]);
+        return obj;
+      }
+      case '$und': return undefined;
+      case '$n0': return -0;
+      case '$nan': return NaN;
+      case '$inf': return Infinity;
+      case '$ninf': return -Infinity;
+      case '$obj': {
+        if (!isObject(x.$obj)) throw runError('Invalid $obj');
+        const obj = {};
+        decoded.set(x, obj);
+        for (const k of Object.keys(x.$obj)) obj[k] = walk(x.$obj[k]);
+        return obj;
+      }
+      case '$arr': {
+        if (!isObject(x.$arr)) throw runError('Invalid $arr');
+        const arr = [];
+        decoded.set(x, arr);
+        for (const k of Object.keys(x.$arr)) arr[k] = walk(x.$arr[k]);
+        return arr;
+      }
+      case '$dup': {
+        if (!Array.isArray(x.$dup)) throw runError('Invalid $dup');
+        let target = root;
+        for (const key of x.$dup) {
+          if (target === null || typeof target !== 'object' || !(key in target)) throw runError(`Invalid $dup path ${JSON.stringify(x.$dup)}`);
+          target = target[key];
+        }
+        if (!decoded.has(target)) throw runError(`$dup ${JSON.stringify(x.$dup)} points at an object not yet decoded`);
+        const value = decoded.get(target);
+        decoded.set(x, value);
+        return value;
+      }
+      case '$set': {
+        if (!Array.isArray(x.$set)) throw runError('Invalid $set');
+        const set = new Set();
+        decoded.set(x, set);
+        for (const item of x.$set) set.add(walk(item));
+        if (x.props) for (const k of Object.keys(x.props)) set[k] = walk(x.props[k]);
+        return set;
+      }
+      case '$map': {
+        if (!Array.isArray(x.$map)) throw runError('Invalid $map');
+        const map = new Map();
+        decoded.set(x, map);
+        for (const entry of x.$map) {
+          if (!Array.isArray(entry) || entry.length !== 2) throw runError('Invalid $map entry');
+          map.set(walk(entry[0]), walk(entry[1]));
+        }
+        if (x.props) for (const k of Object.keys(x.props)) map[k] = walk(x.props[k]);
+        return map;
+      }
+      case '$ui8a': {
+        if (typeof x.$ui8a !== 'string') throw runError('Invalid $ui8a');
+        const buf = Buffer.from(x.$ui8a, 'base64');
+        decoded.set(x, buf);
+        return buf;
+      }
+      case '$jig': {
+        if (!Number.isInteger(x.$jig) || x.$jig < 0) throw runError(`Invalid $jig ${JSON.stringify(x.$jig)}`);
+        const ref = jigRef(x.$jig);
+        decoded.set(x, ref);
+        return ref;
+      }
+      case '$arb': {
+        if (!('T' in x)) throw runError('$arb without T');
+        const arb = { $arb: null, T: null };
+        decoded.set(x, arb);
+        arb.$arb = walk(x.$arb);
+        if (!isObject(arb.$arb)) throw runError('Invalid $arb');
+        arb.T = walk(x.T);
+        return arb;
+      }
+      default:
+        throw runError(`Unsupported ${kind} in ${JSON.stringify(x)}`);
+    }
+  }
+
+  return walk(encoded);
+}
+
+// Decoded values back to plain JSON, for APIs: Sets, Maps, byte arrays and
+// the numbers JSON cannot hold use their codec forms again. An object met
+// again inside itself (a cycle through $dup) becomes { $cycle: true }.
+function toPlain(value, seen = new Set()) {
+  if (value === undefined) return { $und: 1 };
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return { $nan: 1 };
+    if (value === Infinity) return { $inf: 1 };
+    if (value === -Infinity) return { $ninf: 1 };
+    return Object.is(value, -0) ? { $n0: 1 } : value;
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return { $cycle: true };
+  seen.add(value);
+  try {
+    if (Buffer.isBuffer(value)) return { $ui8a: value.toString('base64') };
+    if (value instanceof Set) return { $set: [...value].map(v => toPlain(v, seen)) };
+    if (value instanceof Map) return { $map: [...value].map(([k, v]) => [toPlain(k, seen), toPlain(v, seen)]) };
+    if (Array.isArray(value)) return value.map(v => toPlain(v, seen));
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v, seen)]));
+  } finally {
+    seen.delete(value);
+  }
+}
+
+// ── Script and payload ──────────────────────────────────────────────────────
+
+// The Run output of a parsed tx (lib/bsv-tx.cjs), or null
+function findRunOutput(tx) {
+  for (const out of tx.outputs) {
+    if (out.template !== 'op_return') continue;
+    const data = opReturnData(out.chunks);
+    if (data[0]?.toString('utf8') === RUN_PREFIX) return { vout: out.n, data };
+  }
+  return null;
+}
+
+function parsePayload(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (e) {
+    throw runError(`Run payload is not JSON: ${e.message}`);
+  }
+  if (!isObject(payload)) throw runError('Run payload is not an object');
+  const keys = Object.keys(payload);
+  if (keys.length !== PAYLOAD_KEYS.length || PAYLOAD_KEYS.some(k => !keys.includes(k))) {
+    throw runError(`Run payload keys are ${keys.join(', ')}, expected ${PAYLOAD_KEYS.join(', ')}`);
+  }
+  if (!Number.isInteger(payload.in) || payload.in < 0) throw runError(`Invalid in: ${payload.in}`);
+  for (const k of ['ref', 'out', 'del']) {
+    if (!Array.isArray(payload[k]) || payload[k].some(v => typeof v !== 'string')) throw runError(`Invalid ${k}`);
+  }
+  if (!Array.isArray(payload.cre)) throw runError('Invalid cre');
+  if (!Array.isArray(payload.exec) || payload.exec.some(e => !isObject(e) || typeof e.op !== 'string' || typeof e.data !== 'object' || !e.data)) {
+    throw runError('Invalid exec');
+  }
+  return payload;
+}
+
+// ── Exec ops ────────────────────────────────────────────────────────────────
+
+function decodeOp({ op, data }, decode) {
+  if (!Array.isArray(data)) throw runError(`${op} data is not an array`);
+  switch (op) {
+    case 'DEPLOY': {
+      if (data.length % 2 !== 0) throw runError('DEPLOY data is not src/props pairs');
+      const classes = [];
+      for (let i = 0; i < data.length; i += 2) {
+        if (typeof data[i] !== 'string') throw runError(`DEPLOY src ${i / 2} is not a string`);
+        classes.push({ src: data[i], props: decode(data[i + 1]) });
+      }
+      return { op, classes };
+    }
+    case 'UPGRADE': {
+      if (data.length !== 3 || typeof data[1] !== 'string') throw runError('UPGRADE data is not [jig, src, props]');
+      return { op, jig: decode(data[0]), src: data[1], props: decode(data[2]) };
+    }
+    case 'CALL': {
+      if (data.length !== 3 || typeof data[1] !== 'string') throw runError('CALL data is not [jig, method, args]');
+      return { op, jig: decode(data[0]), method: data[1], args: decode(data[2]) };
+    }
+    case 'NEW': {
+      if (data.length !== 2) throw runError('NEW data is not [class, args]');
+      return { op, class: decode(data[0]), args: decode(data[1]) };
+    }
+    default:
+      throw runError(`Unknown exec op: ${op}`);
+  }
+}
+
+// ── Transactions ────────────────────────────────────────────────────────────
+
+// Decode a parsed tx's Run metadata. Returns null when the tx has no Run
+// output; throws RUN_INVALID when it has a malformed one.
+//   { vrun, version, app, in, ref, out, del, cre, exec, inputs, creates, raw }
+// inputs: the jig input locations; creates: [{ index, owner }] (decoded cre);
+// exec: decoded ops; raw: the payload as written.
+function decodeRun(tx) {
+  const found = findRunOutput(tx);
+  if (!found) return null;
+  const { vout: vrun, data } = found;
+  if (data.length < 4) throw runError(`Run output has ${data.length} pushes, expected 4`);
+
+  const version = parseInt(data[1].toString('hex'), 16);
+  const app = data[2].toString('utf8');
+  const raw = parsePayload(data[3].toString('utf8'));
+
+  if (tx.inputs.length < raw.in) throw runError(`Payload has ${raw.in} jig inputs but the tx has ${tx.inputs.length} inputs`);
+  const inputs = tx.inputs.slice(0, raw.in).map(i => `${i.txid}_o${i.vout}`);
+
+  const jigRef = (n) => {
+    if (n < inputs.length) return { $jig: n, kind: 'input', location: inputs[n] };
+    if (n < inputs.length + raw.ref.length) return { $jig: n, kind: 'ref', location: raw.ref[n - inputs.length] };
+    const index = n - inputs.length - raw.ref.length;
+    if (index >= raw.cre.length) throw runError(`$jig ${n} is past the ${inputs.length + raw.ref.length + raw.cre.length} jigs of the tx`);
+    return { $jig: n, kind: 'created', index };
+  };
+  const decode = (value) => decodeValue(value, jigRef);
+
+  return {
+    vrun,
+    version,
+    app,
+    in: raw.in,
+    ref: raw.ref,
+    out: raw.out,
+    del: raw.del,
+    cre: raw.cre,
+    exec: raw.exec.map(e => decodeOp(e, decode)),
+    inputs,
+    creates: raw.cre.map((owner, index) => ({ index, owner: decode(owner) })),
+    raw,
+  };
+}
+
+// decodeRun for callers that go on without a payload: { run, error }, where
+// run is the decoded metadata or null and error is the RUN_INVALID error when
+// the tx has a Run output that did not decode. Other errors are thrown.
+function tryDecodeRun(tx) {
+  try {
+    return { run: decodeRun(tx), error: null };
+  } catch (e) {
+    if (e.code !== 'RUN_INVALID') throw e;
+    return { run: null, error: e };
+  }
+}
+
+module.exports = { decodeRun, tryDecodeRun, decodeValue, toPlain, findRunOutput, RUN_PREFIX };
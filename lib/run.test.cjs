@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseTx } = require('./bsv-tx.cjs');
+const { decodeRun } = require('./run.cjs');
+const { locateJig } = require('./jig.cjs');
+const { classifySpend } = require('./classify.cjs');
+
+const FIXTURES = path.join(__dirname, '..', 'test', 'fixtures', 'run');
+const fixture = (name) => parseTx(fs.readFileSync(path.join(FIXTURES, `${name}.hex`), 'utf8').trim());
+
+const CLASS = '12d8ca4bc0eaf26660627cc1671de6a0047246f39f3aa06633f8204223d70cc5_o2';
+const MINTER = '12nG9uFESfdyE9SdYHVXQeCGFdfYLcdYZG';
+const HOLDER = '1HdGmpoSNjJ1ifzAdstAqXw6eGDUFC95aF';
+
+// NFT #1 as listed in rexxie-collection.json
+const TRAITS = {
+  background: 'Purple',
+  base: 'Genesis Purple',
+  body: 'Blazer',
+  eye: 'Confused',
+  mouth: 'Grin',
+  head: 'Snek Infestation',
+};
+
+// The on-chain mint of #1 and the tx that spends its jig output
+const REAL_MINT = '52c8ee4935f983b7ce10b84882cb42b30d989a4385eaec1289fafe88325eb53f';
+const REAL_SEND = '6bb6fea2cc7a4df38f8abcc8d946bad84b03d6d5e6f711c4ad8bc59734ed1d22';
+const haveReal = [REAL_MINT, REAL_SEND].every(txid => fs.existsSync(path.join(FIXTURES, `${txid}.hex`)));
+const realSkip = !haveReal && 'raw hex of the real txs not in test/fixtures/run/ (see README, Tests)';
+
+// Every string in a decoded value, however deeply nested
+const strings = (v) => typeof v === 'string' ? [v]
+  : v && typeof v === 'object' ? Object.values(v).flatMap(strings) : [];
+
+test('decodes a Rexxie-shaped mint', () => {
+  const tx = fixture('constructed-mint');
+  const run = decodeRun(tx);
+  assert.equal(run.vrun, 0);
+  assert.equal(run.version, 5);
+  assert.equal(run.app, '');
+  assert.equal(run.in, 2);
+  assert.equal(run.inputs[0], CLASS);
+  assert.deepEqual(run.creates, [{ index: 0, owner: MINTER }]);
+  assert.equal(run.exec.length, 1);
+  assert.equal(run.exec[0].op, 'CALL');
+  assert.equal(run.exec[0].method, 'mint');
+  assert.deepEqual(run.exec[0].jig, { $jig: 0, kind: 'input', location: CLASS });
+  assert.deepEqual(run.exec[0].args[0], { number: 1, ...TRAITS });
+  assert.equal(tx.outputs[3].address, MINTER);
+});
+
+test('decodes a Rexxie-shaped send and follows the jig through it', () => {
+  const mint = fixture('constructed-mint');
+  const tx = fixture('constructed-send');
+  const run = decodeRun(tx);
+  assert.equal(run.app, '');
+  assert.equal(run.in, 1);
+  assert.deepEqual(run.inputs, [`${mint.txid}_o3`]);
+  assert.equal(run.exec[0].method, 'send');
+  assert.deepEqual(run.exec[0].args, [HOLDER]);
+
+  const jig = locateJig(tx, { txid: mint.txid, vout: 3 });
+  assert.deepEqual(jig, { vout: 1, addr: HOLDER, isOrderLock: false, confidence: 'run' });
+});
+
+test('returns null for a tx without a Run output', () => {
+  const tx = fixture('constructed-send');
+  tx.outputs = tx.outputs.filter(o => o.template !== 'op_return');
+  assert.equal(decodeRun(tx), null);
+});
+
+test('throws RUN_INVALID for a malformed payload, which locateJig and classifySpend report', () => {
+  const tx = fixture('constructed-send');
+  const out = tx.outputs[0];
+  out.chunks = out.chunks.map((c, i) => i === out.chunks.length - 1 ? { ...c, buf: Buffer.from('{"in":1}') } : c);
+  assert.throws(() => decodeRun(tx), { code: 'RUN_INVALID' });
+
+  const jig = locateJig(tx, { txid: tx.inputs[0].txid, vout: tx.inputs[0].vout });
+  assert.equal(jig.confidence, 'heuristic');
+  assert.match(jig.runError, /^Run payload keys are in, expected/);
+
+  const { evidence } = classifySpend(tx, { spent: tx.inputs[0], jig, owner: MINTER });
+  assert.deepEqual(evidence[0], { source: 'run', fact: `invalid Run payload: ${jig.runError}` });
+});
+
+// The constructed send with its Run payload replaced
+function withPayload(payload) {
+  const tx = fixture('constructed-send');
+  const out = tx.outputs[0];
+  const last = out.chunks.length - 1;
+  out.chunks = out.chunks.map((c, i) => i === last ? { ...c, buf: Buffer.from(JSON.stringify(payload)) } : c);
+  return tx;
+}
+
+test('maps the surviving jig input past one the tx destroys', () => {
+  const tx = withPayload({
+    in: 2,
+    ref: [],
+    out: ['aa'.repeat(32)],
+    del: ['bb'.repeat(32)],
+    cre: [],
+    exec: [{ op: 'CALL', data: [{ $jig: 0 }, 'destroy', []] }, { op: 'CALL', data: [{ $jig: 1 }, 'send', [HOLDER]] }],
+  });
+  const [destroyed, kept] = tx.inputs;
+
+  assert.deepEqual(locateJig(tx, kept), { vout: 1, addr: HOLDER, isOrderLock: false, confidence: 'run' });
+  assert.deepEqual(locateJig(tx, destroyed), { vout: null, burned: true, confidence: 'run' });
+  const { class: cls } = classifySpend(tx, { spent: destroyed, jig: locateJig(tx, destroyed), owner: MINTER });
+  assert.equal(cls, 'melt');
+});
+
+test('falls back to the output guess when deletes do not match destroy calls', () => {
+  const tx = withPayload({
+    in: 2,
+    ref: [],
+    out: ['aa'.repeat(32)],
+    del: ['bb'.repeat(32)],
+    cre: [],
+    exec: [{ op: 'CALL', data: [{ $jig: 1 }, 'send', [HOLDER]] }],
+  });
+  assert.equal(locateJig(tx, tx.inputs[1]).confidence, 'heuristic');
+});
+
+test('decodes the real mint of #1', { skip: realSkip }, () => {
+  const tx = fixture(REAL_MINT);
+  assert.equal(tx.txid, REAL_MINT);
+  const run = decodeRun(tx);
+  assert.ok(run.inputs.includes(CLASS));
+  assert.equal(run.exec[0].method, 'mint');
+  const values = strings(run.exec);
+  for (const trait of Object.values(TRAITS)) assert.ok(values.includes(trait), `mint args lack ${trait}`);
+  assert.equal(tx.outputs[3].address, MINTER);
+});
+
+test('follows the real jig of #1 out of its mint', { skip: realSkip }, () => {
+  const tx = fixture(REAL_SEND);
+  assert.equal(tx.txid, REAL_SEND);
+  assert.ok(tx.inputs.some(i => i.txid === REAL_MINT && i.vout === 3));
+  assert.ok(decodeRun(tx).inputs.includes(`${REAL_MINT}_o3`));
+
+  const jig = locateJig(tx, { txid: REAL_MINT, vout: 3 });
+  assert.equal(jig.confidence, 'run');
+  assert.notEqual(jig.addr, MINTER);
+});
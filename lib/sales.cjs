@@ -0,0 +1,55 @@
+'use strict';
+
+// Marketplace sales, read from the ledger: each transfer classified
+// 'purchase' (lib/classify.cjs) is a sale of the NFT out of an OrderLock.
+//   { number, txid, buyer, seller, price, blockHeight, blockTime, confirmed }
+// price is the listing's asking price in satoshis, which the purchase tx was
+// checked to pay; blockTime is unix seconds, null while in the mempool.
+
+function listSales(ledger, { number, address } = {}) {
+  const nums = number !== undefined ? [number] : Object.keys(ledger.nfts).map(Number);
+  const sales = [];
+  for (const num of nums) {
+    for (const t of ledger.nfts[num]?.transfers || []) {
+      if (t.class !== 'purchase') continue;
+      if (address && t.to !== address && t.seller !== address) continue;
+      sales.push({
+        number: num,
+        txid: t.txid,
+        buyer: t.to,
+        seller: t.seller ?? t.from,
+        price: t.price ?? null,
+        blockHeight: t.blockHeight ?? null,
+        blockTime: t.blockTime ?? null,
+        confirmed: t.confirmed !== false,
+      });
+    }
+  }
+  // Newest first; pending sales ahead of mined ones
+  return sales.sort((a, b) => (b.blockHeight ?? Infinity) - (a.blockHeight ?? Infinity) || a.number - b.number);
+}
+
+// Aggregates over confirmed sales with a known price, from `sales` as listSales
+// returns them (newest first). Prices are in satoshis.
+function salesStats(sales) {
+  const priced = sales.filter(s => s.confirmed && s.price !== null);
+  const prices = priced.map(s => s.price).sort((a, b) => a - b);
+  const volume = prices.reduce((sum, p) => sum + p, 0);
+  const mid = Math.floor(prices.length / 2);
+  const top = priced.reduce((best, s) => (!best || s.price > best.price ? s : best), null);
+  return {
+    count: priced.length,
+    volume,
+    average: prices.length ? Math.round(volume / prices.length) : null,
+    median: prices.length ? (prices.length % 2 ? prices[mid] : Math.round((prices[mid - 1] + prices[mid]) / 2)) : null,
+    low: prices.length ? prices[0] : null,
+    high: prices.length ? prices[prices.length - 1] : null,
+    buyers: new Set(priced.map(s => s.buyer)).size,
+    sellers: new Set(priced.map(s => s.seller)).size,
+    topSale: top,
+    lastSale: priced[0] || null,
+    pending: sales.filter(s => !s.confirmed).length,
+  };
+}
+
+module.exports = { listSales, salesStats };
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listSales, salesStats } = require('./sales.cjs');
+
+const A = '1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const B = '1BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const C = '1CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+
+const purchase = (txid, from, to, price, blockHeight, extra = {}) => ({
+  txid, type: 'send', class: 'purchase', from, to, seller: from, price, blockHeight, blockTime: blockHeight && blockHeight * 600, ...extra,
+});
+
+// #1 bought twice, #2 bought once and then sent, #3 bought in the mempool
+function ledger() {
+  return {
+    nfts: {
+      1: { transfers: [
+        { txid: 'm1', type: 'mint', class: 'mint', to: A },
+        { txid: 'l1', type: 'list', class: 'list', from: A, to: A },
+        purchase('p1', A, B, 50000, 100),
+        purchase('p2', B, C, 80000, 300),
+      ] },
+      2: { transfers: [
+        { txid: 'm2', type: 'mint', class: 'mint', to: A },
+        purchase('p3', A, C, 20000, 200),
+        { txid: 's2', type: 'send', class: 'send', from: C, to: B, blockHeight: 250 },
+      ] },
+      3: { transfers: [
+        { txid: 'm3', type: 'mint', class: 'mint', to: A },
+        purchase('p4', A, B, 999999, undefined, { confirmed: false }),
+      ] },
+    },
+  };
+}
+
+test('lists purchases newest first, pending ones ahead', () => {
+  const sales = listSales(ledger());
+  assert.deepEqual(sales.map(s => s.txid), ['p4', 'p2', 'p3', 'p1']);
+  assert.deepEqual(sales[1], {
+    number: 1, txid: 'p2', buyer: C, seller: B, price: 80000, blockHeight: 300, blockTime: 180000, confirmed: true,
+  });
+  assert.equal(sales[0].confirmed, false);
+  assert.equal(sales[0].blockHeight, null);
+});
+
+test('filters by NFT number and by buyer or seller', () => {
+  assert.deepEqual(listSales(ledger(), { number: 1 }).map(s => s.txid), ['p2', 'p1']);
+  assert.deepEqual(listSales(ledger(), { address: C }).map(s => s.txid), ['p2', 'p3']);
+  assert.deepEqual(listSales(ledger(), { number: 2, address: B }), []);
+  assert.deepEqual(listSales(ledger(), { number: 9 }), []);
+});
+
+test('falls back to the sender for a purchase without seller or price', () => {
+  const l = { nfts: { 5: { transfers: [{ txid: 'p5', class: 'purchase', from: A, to: B }] } } };
+  const [sale] = listSales(l);
+  assert.equal(sale.seller, A);
+  assert.equal(sale.price, null);
+  assert.equal(sale.blockTime, null);
+});
+
+test('aggregates confirmed, priced sales', () => {
+  const stats = salesStats(listSales(ledger()));
+  assert.deepEqual({ ...stats, topSale: stats.topSale.txid, lastSale: stats.lastSale.txid }, {
+    count: 3,
+    volume: 150000,
+    average: 50000,
+    median: 50000,
+    low: 20000,
+    high: 80000,
+    buyers: 2,
+    sellers: 2,
+    topSale: 'p2',
+    lastSale: 'p2',
+    pending: 1,
+  });
+});
+
+test('averages the middle two prices for an even count', () => {
+  const sales = listSales(ledger(), { number: 1 });
+  assert.equal(salesStats(sales).median, 65000);
+});
+
+test('is empty without sales', () => {
+  assert.deepEqual(salesStats([]), {
+    count: 0, volume: 0, average: null, median: null, low: null, high: null,
+    buyers: 0, sellers: 0, topSale: null, lastSale: null, pending: 0,
+  });
+});
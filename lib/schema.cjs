@@ -0,0 +1,71 @@
+'use strict';
+
+// Ledger schema versioning. ledger.schemaVersion records which migrations
+// (lib/migrations/NNN-name.cjs, applied in order) a ledger has been through;
+// a ledger without one is version 0. Each migration exports
+//   { version, description, up(ledger, { getChain, log }) }
+// and must be idempotent: running it on an already-migrated ledger changes
+// nothing. SCHEMA_VERSION is the newest version this checkout understands.
+//
+// Stores check the version on load (checkSchema): a newer ledger is refused,
+// since this code could silently drop fields it does not know, and an older
+// one must be upgraded first with `node migrate.cjs`.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => /^\d+-.+\.cjs$/.test(f))
+    .sort()
+    .map(f => ({ file: f, ...require(path.join(MIGRATIONS_DIR, f)) }));
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1) throw new Error(`Migration ${m.file} has version ${m.version}, expected ${i + 1}`);
+  });
+  return migrations;
+}
+
+const MIGRATIONS = loadMigrations();
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+function schemaError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function versionOf(ledger) {
+  return ledger.schemaVersion ?? 0;
+}
+
+function checkSchema(ledger, source = 'ledger') {
+  const version = versionOf(ledger);
+  if (version > SCHEMA_VERSION) {
+    throw schemaError('LEDGER_TOO_NEW', `${source} has schema version ${version}; this code understands up to ${SCHEMA_VERSION} — update the indexer`);
+  }
+  if (version < SCHEMA_VERSION) {
+    throw schemaError('LEDGER_OUTDATED', `${source} has schema version ${version}, current is ${SCHEMA_VERSION} — run: node migrate.cjs`);
+  }
+}
+
+function pendingMigrations(ledger) {
+  return MIGRATIONS.filter(m => m.version > versionOf(ledger));
+}
+
+// Apply every pending migration in order, advancing schemaVersion after each.
+// Returns the versions applied.
+async function migrate(ledger, { getChain = () => null, log = console.log } = {}) {
+  if (versionOf(ledger) > SCHEMA_VERSION) checkSchema(ledger);
+  const applied = [];
+  for (const m of pendingMigrations(ledger)) {
+    log(`  → ${m.version}: ${m.description}`);
+    await m.up(ledger, { getChain, log });
+    ledger.schemaVersion = m.version;
+    applied.push(m.version);
+  }
+  return applied;
+}
+
+module.exports = { SCHEMA_VERSION, MIGRATIONS, checkSchema, pendingMigrations, migrate };
@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createChainClient } = require('./chain/client.cjs');
+const { SCHEMA_VERSION, MIGRATIONS, checkSchema, pendingMigrations, migrate } = require('./schema.cjs');
+
+// Replay session over a hand-built chain (see README, Tests)
+const SESSION = path.join(__dirname, '..', 'test', 'fixtures', 'replay', 'constructed');
+const S = require(path.join(SESSION, 'session.json'));
+
+const replay = () => createChainClient({ provider: 'replay', providerOptions: { dir: SESSION }, delayMs: 0, minDelayMs: 0, log: () => {} });
+
+// A ledger from before schema versioning: #1 never traced, #2 bought (lastTx
+// the purchase), #3 burned without burnTx, #4 listed since its last transfer
+function v0Ledger() {
+  const mint = (num) => ({ txid: S.mints[num], type: 'mint', to: S.minter });
+  const nft = (num, fields) => ({ number: num, mintTxid: S.mints[num], jigRef: `${S.mints[num]}_o3`, ...fields });
+  return {
+    collection: { name: 'Rexxie' },
+    nfts: {
+      1: nft(1, {}),
+      2: nft(2, {
+        owner: S.buyer, lastTx: S.purchase, burned: false, burnTx: null,
+        transfers: [mint(2), { txid: S.purchase, type: 'send', from: S.minter, to: S.buyer }],
+      }),
+      3: nft(3, {
+        owner: S.holder, lastTx: S.sweep, burned: true,
+        transfers: [mint(3), { txid: S.move, type: 'send', from: S.minter, to: S.holder }, { txid: S.sweep, type: 'burn', from: S.holder }],
+      }),
+      4: nft(4, { owner: S.minter, lastTx: S.bareList, transfers: [mint(4)] }),
+    },
+  };
+}
+
+const step = (version) => MIGRATIONS[version - 1];
+
+// Run one migration step on its own; returns what it logged
+async function run(version, ledger, getChain = () => null) {
+  const lines = [];
+  await step(version).up(ledger, { getChain, log: (line) => lines.push(line) });
+  return lines;
+}
+
+test('migrations are numbered 1 to SCHEMA_VERSION', () => {
+  assert.equal(SCHEMA_VERSION, 4);
+  assert.deepEqual(MIGRATIONS.map(m => m.version), [1, 2, 3, 4]);
+  assert.deepEqual(pendingMigrations({ schemaVersion: 2 }).map(m => m.version), [3, 4]);
+});
+
+test('1: adds transfers arrays, the owners index and ownershipIndexed', async () => {
+  const ledger = v0Ledger();
+  await run(1, ledger);
+  assert.deepEqual(ledger.owners, {});
+  assert.deepEqual(ledger.nfts[1].transfers, []);
+  assert.equal(ledger.ownershipIndexed, 3);
+});
+
+test('2: resolves lastVout from the mint location or the lastTx', async () => {
+  const ledger = v0Ledger();
+  ledger.nfts[1].lastTx = S.mints[1];
+  const lines = await run(2, ledger, replay);
+
+  assert.deepEqual([ledger.nfts[1].lastVout, ledger.nfts[1].locationConfidence], [3, 'run']);
+  assert.deepEqual([ledger.nfts[2].lastVout, ledger.nfts[2].locationConfidence], [1, 'run']);
+  assert.deepEqual([ledger.nfts[4].lastVout, ledger.nfts[4].locationConfidence], [1, 'heuristic']);
+  assert.equal(ledger.nfts[3].lastVout, undefined); // burned
+  assert.deepEqual(lines, ['  lastVout resolved for 3/3 NFTs']);
+});
+
+test('2: leaves moved NFTs for the refresh when offline', async () => {
+  const ledger = v0Ledger();
+  const lines = await run(2, ledger);
+  assert.equal(ledger.nfts[2].lastVout, undefined);
+  assert.deepEqual(lines, ['  lastVout resolved for 0/2 NFTs; 2 left for the refresh to resolve (offline)']);
+});
+
+test('3: takes burnTx from the burn transfer and clears it on unburned NFTs', async () => {
+  const ledger = v0Ledger();
+  await run(3, ledger);
+  assert.equal(ledger.nfts[3].burnTx, S.sweep);
+  assert.equal('burned' in ledger.nfts[2], false);
+  assert.equal('burnTx' in ledger.nfts[2], false);
+});
+
+test('4: adds a list transfer for an NFT sitting in an OrderLock', async () => {
+  const ledger = v0Ledger();
+  Object.assign(ledger.nfts[2], { lastVout: 1 });
+  Object.assign(ledger.nfts[4], { lastVout: 1, locationConfidence: 'heuristic' });
+  const lines = await run(4, ledger, replay);
+
+  assert.deepEqual(ledger.nfts[4].transfers.at(-1), {
+    txid: S.bareList,
+    type: 'list',
+    from: S.minter,
+    seller: S.minter,
+    price: 120000,
+    payTo: S.minter,
+    blockHeight: 771850,
+    blockHash: ledger.nfts[4].transfers.at(-1).blockHash,
+    confirmed: true,
+    confidence: 'heuristic',
+  });
+  // #2's last transfer is its lastTx: nothing to check
+  assert.equal(ledger.nfts[2].transfers.length, 2);
+  assert.deepEqual(lines, ["  'list' transfers added for 1/1 NFTs"]);
+});
+
+test('4: adds nothing offline', async () => {
+  const ledger = v0Ledger();
+  Object.assign(ledger.nfts[4], { lastVout: 1 });
+  const lines = await run(4, ledger);
+  assert.equal(ledger.nfts[4].transfers.length, 1);
+  assert.deepEqual(lines, ['  1 NFTs past their last transfer not checked for listings (offline)']);
+});
+
+test('migrate runs every step from 0 and a second run changes nothing', async () => {
+  const ledger = v0Ledger();
+  const lines = [];
+  assert.deepEqual(await migrate(ledger, { getChain: replay, log: (l) => lines.push(l) }), [1, 2, 3, 4]);
+  assert.equal(ledger.schemaVersion, SCHEMA_VERSION);
+  assert.equal(lines[0], '  → 1: owners index, transfers arrays and ownershipIndexed count');
+  assert.equal(ledger.nfts[4].transfers.at(-1).type, 'list');
+  assert.doesNotThrow(() => checkSchema(ledger));
+
+  const migrated = structuredClone(ledger);
+  assert.deepEqual(await migrate(ledger, { getChain: replay, log: () => {} }), []);
+  for (const m of MIGRATIONS) await m.up(ledger, { getChain: replay, log: () => {} });
+  assert.deepEqual(ledger, migrated);
+});
+
+test('checkSchema refuses older and newer ledgers', async () => {
+  assert.throws(() => checkSchema({ schemaVersion: 3 }, 'ledger.json'), {
+    code: 'LEDGER_OUTDATED',
+    message: 'ledger.json has schema version 3, current is 4 — run: node migrate.cjs',
+  });
+  assert.throws(() => checkSchema({}), { code: 'LEDGER_OUTDATED' });
+  assert.throws(() => checkSchema({ schemaVersion: 5 }), { code: 'LEDGER_TOO_NEW' });
+  await assert.rejects(migrate({ schemaVersion: 5, nfts: {} }, { log: () => {} }), { code: 'LEDGER_TOO_NEW' });
+});
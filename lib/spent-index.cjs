@@ -0,0 +1,174 @@
+'use strict';
+
+// Locally maintained spent-output index, built by scanning raw blocks.
+// Stands in for WoC's /tx/{txid}/{vout}/spent when running against a node.
+//
+// Indexing every spend on BSV is impractical, so the index follows the jigs:
+// it starts from watched txs (mints, current locations) and, whenever a watched
+// output is spent, records the spender and watches that tx's small outputs
+// (the only places a jig can move to). State lives in cache/spent-index.json:
+//   { height, hash, watchTxids: { txid: 1 }, watch: { 'txid:vout': 1 }, spends: { 'txid:vout': spenderTxid } }
+
+const fs = require('fs');
+const path = require('path');
+const { parseBlock } = require('./bsv-tx.cjs');
+const { ORDERLOCK_MAX_SATS } = require('./jig.cjs');
+
+const DEFAULT_PATH = process.env.SPENT_INDEX_PATH || path.join(__dirname, '..', 'cache', 'spent-index.json');
+const DEFAULT_START_HEIGHT = 771246; // COL deploy block
+
+// Height of the block that mined `txid`, from the NFT's transfers: null while
+// it is in the mempool, undefined when the ledger does not record it
+function createdAt(nft, txid) {
+  const transfer = (nft.transfers || []).find(t => t.txid === txid);
+  if (!transfer) return undefined;
+  if (transfer.confirmed === false) return null;
+  return transfer.blockHeight ?? undefined;
+}
+
+function emptyState() {
+  return { height: null, hash: null, watchTxids: {}, watch: {}, spends: {} };
+}
+
+function createSpentIndex({ file = DEFAULT_PATH, startHeight = DEFAULT_START_HEIGHT } = {}) {
+  let state = emptyState();
+  let loadedMtime = 0;
+
+  // Reload when another process (the sync command) has rewritten the file
+  function refresh() {
+    try {
+      const mtime = fs.statSync(file).mtimeMs;
+      if (mtime === loadedMtime) return;
+      state = { ...emptyState(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+      loadedMtime = mtime;
+    } catch {}
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+    loadedMtime = fs.statSync(file).mtimeMs;
+  }
+
+  function get(txid, vout) {
+    refresh();
+    return state.spends[`${txid}:${vout}`] || null;
+  }
+
+  function watchTx(txid) { state.watchTxids[txid] = 1; }
+  function watchOutpoint(txid, vout) { state.watch[`${txid}:${vout}`] = 1; }
+
+  function applyBlock(block) {
+    let found = 0;
+    for (const tx of block.txs) {
+      for (const input of tx.inputs) {
+        const key = `${input.txid}:${input.vout}`;
+        if (!state.watch[key] && !state.watchTxids[input.txid]) continue;
+        state.spends[key] = tx.txid;
+        delete state.watch[key];
+        found++;
+        for (const out of tx.outputs) {
+          if (out.template !== 'op_return' && out.satoshis <= ORDERLOCK_MAX_SATS) watchOutpoint(tx.txid, out.n);
+        }
+      }
+    }
+    return found;
+  }
+
+  // Scan blocks from the cursor to the chain tip (or toHeight)
+  async function sync(chain, { toHeight, saveEvery = 50, log = console.log } = {}) {
+    refresh();
+    const tip = toHeight ?? (await chain.getChainInfo()).blocks;
+    let height = state.height === null ? startHeight : state.height + 1;
+    let scanned = 0;
+    let found = 0;
+
+    for (; height <= tip; height++) {
+      const hash = await chain.getBlockHash(height);
+      const block = parseBlock(await chain.getRawBlock(hash));
+      if (state.hash && block.prevHash !== state.hash) {
+        throw new Error(`Block ${height} does not build on ${state.hash} (reorg?) — resync from an earlier height`);
+      }
+      found += applyBlock(block);
+      state.height = height;
+      state.hash = hash;
+      scanned++;
+      if (scanned % saveEvery === 0) {
+        save();
+        log(`  block ${height}/${tip}: ${found} spends recorded`);
+      }
+    }
+
+    save();
+    return { scanned, found, height: state.height };
+  }
+
+  // Move the scan cursor back so the next sync starts at `height`
+  function rewind(height) {
+    state.height = height - 1;
+    state.hash = null;
+  }
+
+  // Watch every NFT's current location (and its mint, for full retraces).
+  // Blocks below the cursor were scanned without the new watches, so a spend
+  // of one there would never be found: the cursor is moved back to the
+  // earliest block a new watch was created in (the block of its transfer in
+  // the ledger, or startHeight when the ledger does not say). Returns
+  // { added, rescanFrom } (rescanFrom null when no rescan is needed).
+  function seedFromLedger(ledger) {
+    let added = 0;
+    let rescanFrom = null;
+    const watched = (created) => {
+      added++;
+      const height = created === undefined ? startHeight : created;
+      if (height === null || state.height === null || height > state.height) return;
+      rescanFrom = rescanFrom === null ? height : Math.min(rescanFrom, height);
+    };
+
+    for (const nft of Object.values(ledger.nfts)) {
+      if (nft.burned) continue;
+      if (nft.mintTxid && !state.watchTxids[nft.mintTxid]) {
+        watchTx(nft.mintTxid);
+        watched(createdAt(nft, nft.mintTxid));
+      }
+      if (nft.lastTx && nft.lastVout !== undefined) {
+        const key = `${nft.lastTx}:${nft.lastVout}`;
+        if (state.watch[key] || state.spends[key] || state.watchTxids[nft.lastTx]) continue;
+        watchOutpoint(nft.lastTx, nft.lastVout);
+        watched(createdAt(nft, nft.lastTx));
+      } else if (nft.lastTx && !state.watchTxids[nft.lastTx]) {
+        watchTx(nft.lastTx);
+        watched(createdAt(nft, nft.lastTx));
+      }
+    }
+
+    if (rescanFrom !== null) rewind(rescanFrom);
+    return { added, rescanFrom };
+  }
+
+  refresh();
+
+  return {
+    file,
+    get,
+    watchTx,
+    watchOutpoint,
+    seedFromLedger,
+    rewind,
+    applyBlock,
+    sync,
+    save,
+    get height() { return state.height; },
+    get hash() { return state.hash; },
+    stats: () => ({
+      height: state.height,
+      watchedTxids: Object.keys(state.watchTxids).length,
+      watchedOutpoints: Object.keys(state.watch).length,
+      spends: Object.keys(state.spends).length,
+    }),
+  };
+}
+
+module.exports = { createSpentIndex, DEFAULT_START_HEIGHT };
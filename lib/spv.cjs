@@ -0,0 +1,202 @@
+'use strict';
+
+// SPV ownership proofs. A proof bundle is self-contained: every tx the jig has
+// passed through from its mint to the current location, as raw hex, each with
+// a TSC merkle branch to the block it was mined in. Anyone holding a trusted
+// chain of block headers can check it offline with verifyProofBundle — no
+// indexer or API trust needed. (That the final output is still unspent cannot
+// be shown this way; the bundle proves the chain up to it.)
+//
+// Bundle:
+//   { format: 'rexxie-spv-1', number, mintTxid, jigRef, owner, location: { txid, vout },
+//     txs: [{ txid, hex, vout, spends: { txid, vout } | null,
+//             proof: { blockHash, blockHeight, index, nodes } | null }] }
+//
+// Headers file: raw 80-byte block headers concatenated in height order,
+// starting at `startHeight` (0 = genesis, the layout Electrum-style clients use).
+
+const fs = require('fs');
+const { parseTx, parseBlockHeader, sha256d } = require('./bsv-tx.cjs');
+const { hashTx } = require('./tx-cache.cjs');
+const { locateJig, mintLocation } = require('./jig.cjs');
+
+const BUNDLE_FORMAT = 'rexxie-spv-1';
+const HEADER_SIZE = 80;
+const MAX_HOPS = 100;
+
+// ── Merkle branches ─────────────────────────────────────────────────────────
+// TSC form: nodes are sibling hashes bottom-up (display byte order), '*' means
+// "duplicate of the running hash" (the odd last node of a level).
+function merkleRootFromBranch(txid, index, nodes) {
+  let hash = Buffer.from(txid, 'hex').reverse();
+  let i = index;
+  for (const node of nodes) {
+    const sibling = node === '*' ? hash : Buffer.from(node, 'hex').reverse();
+    hash = sha256d(i & 1 ? Buffer.concat([sibling, hash]) : Buffer.concat([hash, sibling]));
+    i = Math.floor(i / 2);
+  }
+  return Buffer.from(hash).reverse().toString('hex');
+}
+
+// Compact difficulty bits → 256-bit target
+function bitsToTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+  return exponent <= 3 ? mantissa >> BigInt(8 * (3 - exponent)) : mantissa << BigInt(8 * (exponent - 3));
+}
+
+function hasValidWork(header) {
+  return BigInt(`0x${header.hash}`) <= bitsToTarget(header.bits);
+}
+
+// ── Headers file ────────────────────────────────────────────────────────────
+
+function openHeaders(file, { startHeight = 0 } = {}) {
+  const fd = fs.openSync(file, 'r');
+  const count = Math.floor(fs.fstatSync(fd).size / HEADER_SIZE);
+
+  function get(height) {
+    const i = height - startHeight;
+    if (i < 0 || i >= count) return null;
+    const buf = Buffer.alloc(HEADER_SIZE);
+    fs.readSync(fd, buf, 0, HEADER_SIZE, i * HEADER_SIZE);
+    return parseBlockHeader(buf);
+  }
+
+  return {
+    get,
+    startHeight,
+    tipHeight: startHeight + count - 1,
+    close: () => fs.closeSync(fd),
+  };
+}
+
+// ── Building ────────────────────────────────────────────────────────────────
+
+// Merkle proof and header reference for a confirmed tx, as stored in nft.lastProof
+async function fetchTxProof(chain, txid) {
+  const proof = await chain.getMerkleProof(txid);
+  if (!proof) return null;
+  const header = await chain.getBlockHeader(proof.blockHash);
+  return {
+    txid,
+    blockHash: proof.blockHash,
+    blockHeight: header ? header.height : undefined,
+    index: proof.index,
+    nodes: proof.nodes,
+  };
+}
+
+// Walk the jig forward from its mint output to nft.lastTx and collect raw txs
+// and merkle proofs. Uses nft.lastProof for the final hop when it is current.
+async function buildProofBundle(chain, nft) {
+  if (!nft.mintTxid || !nft.lastTx) throw new Error('NFT has no indexed location');
+  const txs = [];
+  let txid = nft.mintTxid;
+  let vout = nft.lastTx === nft.mintTxid && nft.lastVout !== undefined ? nft.lastVout : mintLocation(nft).vout;
+  let spends = null;
+
+  for (let hops = 0; ; hops++) {
+    const hex = await chain.getRawTx(txid);
+    if (!hex) throw new Error(`Could not fetch ${txid}`);
+    const proof = nft.lastProof && nft.lastProof.txid === txid ? { ...nft.lastProof } : await fetchTxProof(chain, txid);
+    if (proof) delete proof.txid;
+    txs.push({ txid, hex, vout, spends, proof });
+
+    if (txid === nft.lastTx) break;
+    if (hops >= MAX_HOPS) throw new Error(`Gave up after ${MAX_HOPS} hops without reaching ${nft.lastTx}`);
+
+    const next = await chain.getSpender(txid, vout);
+    if (!next) throw new Error(`${txid}:${vout} is unspent but is not the recorded location ${nft.lastTx}`);
+    const jig = locateJig(parseTx(await chain.getRawTx(next)), { txid, vout });
+    if (jig.burned) throw new Error(`${next} destroys the jig`);
+    spends = { txid, vout };
+    txid = next;
+    vout = jig.vout;
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    number: nft.number,
+    mintTxid: nft.mintTxid,
+    jigRef: nft.jigRef,
+    owner: nft.owner,
+    location: { txid: nft.lastTx, vout: txs[txs.length - 1].vout },
+    txs,
+  };
+}
+
+// ── Verification ────────────────────────────────────────────────────────────
+// Returns { valid, errors, hops, owner, height } where owner is the address the
+// final jig output pays to (null for an OrderLock listing).
+// The jig's output in each tx is derived from the tx (locateJig, from the
+// output the previous hop put it in), not taken from the bundle's `vout`; the
+// first must be the NFT's mint location (mintLocation, from jigRef).
+
+function verifyProofBundle(bundle, headers) {
+  const errors = [];
+  const fail = (msg) => { errors.push(msg); };
+
+  if (bundle.format !== BUNDLE_FORMAT) fail(`Unknown bundle format ${bundle.format}`);
+  const txs = bundle.txs || [];
+  if (txs.length === 0) fail('Bundle has no transactions');
+  else if (txs[0].txid !== bundle.mintTxid) fail(`First tx ${txs[0].txid} is not the mint ${bundle.mintTxid}`);
+  else {
+    const mint = mintLocation({ mintTxid: bundle.mintTxid, jigRef: bundle.jigRef });
+    if (txs[0].vout !== mint.vout) fail(`tx 0: jig is minted at output ${mint.vout}, bundle says ${txs[0].vout}`);
+  }
+
+  let owner = null;
+  let height = null;
+  txs.forEach((entry, i) => {
+    const label = `tx ${i} (${entry.txid.slice(0, 12)}…)`;
+    if (hashTx(entry.hex) !== entry.txid) return fail(`${label}: raw hex does not hash to its txid`);
+    const tx = parseTx(entry.hex);
+
+    const out = tx.outputs[entry.vout];
+    if (!out) return fail(`${label}: no output ${entry.vout}`);
+    if (i > 0) {
+      const prev = txs[i - 1];
+      const linked = tx.inputs.some(input => input.txid === prev.txid && input.vout === prev.vout);
+      if (!linked) fail(`${label}: does not spend ${prev.txid.slice(0, 12)}…:${prev.vout}`);
+      else {
+        const jig = locateJig(tx, { txid: prev.txid, vout: prev.vout });
+        if (jig.burned) fail(`${label}: destroys the jig`);
+        else if (jig.vout !== entry.vout) fail(`${label}: jig is at output ${jig.vout}, bundle says ${entry.vout}`);
+      }
+    }
+    owner = out.template === 'p2pkh' ? out.address : null;
+
+    const { proof } = entry;
+    if (!proof) return fail(`${label}: no merkle proof (unconfirmed?)`);
+    const header = headers.get(proof.blockHeight);
+    if (!header) return fail(`${label}: no header at height ${proof.blockHeight} in the headers file`);
+    if (header.hash !== proof.blockHash) return fail(`${label}: block ${proof.blockHash} is not the header at height ${proof.blockHeight}`);
+    if (!hasValidWork(header)) return fail(`${label}: header at ${proof.blockHeight} fails proof of work`);
+    const prevHeader = headers.get(proof.blockHeight - 1);
+    if (prevHeader && prevHeader.hash !== header.prevHash) fail(`${label}: headers file is not a chain at ${proof.blockHeight}`);
+    if (merkleRootFromBranch(entry.txid, proof.index, proof.nodes) !== header.merkleRoot) {
+      return fail(`${label}: merkle branch does not lead to the block's merkle root`);
+    }
+    height = proof.blockHeight;
+  });
+
+  const last = txs[txs.length - 1];
+  if (last && bundle.location && (last.txid !== bundle.location.txid || last.vout !== bundle.location.vout)) {
+    fail('Last tx is not the claimed location');
+  }
+  if (bundle.owner && owner && owner !== bundle.owner) fail(`Final output pays ${owner}, bundle claims ${bundle.owner}`);
+
+  return { valid: errors.length === 0, errors, hops: Math.max(0, txs.length - 1), owner, height };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  merkleRootFromBranch,
+  bitsToTarget,
+  hasValidWork,
+  openHeaders,
+  fetchTxProof,
+  buildProofBundle,
+  verifyProofBundle,
+};
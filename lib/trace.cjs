@@ -0,0 +1,91 @@
+'use strict';
+
+// Full ownership trace: follows an NFT's jig from its mint output through
+// every spend to the current holder, using /tx/{txid}/{vout}/spent. Used by
+// index-owners.cjs for NFTs that have no owner yet; the refresh (refresh.cjs)
+// continues from lastTx instead.
+
+const { mintLocation } = require('./jig.cjs');
+const { classifyMint } = require('./classify.cjs');
+const { applySpend, addToOwnerIndex, removeFromOwnerIndex } = require('./ownership.cjs');
+
+const MINTING_ADDR = '12nG9uFESfdyE9SdYHVXQeCGFdfYLcdYZG';
+const MAX_HOPS = 100;
+
+// Trace a single NFT from mint to current owner, on a scratch copy of its
+// ledger entry. Every hop goes through ownership.applySpend, as in the refresh
+// and block-sync indexers, so hops are classified and mempool hops recorded
+// as pending (pendingOwner) the same way.
+async function traceNFT(ledger, chain, num) {
+  const nft = ledger.nfts[num];
+  if (!nft?.mintTxid) return null;
+
+  const { vout, confidence } = mintLocation(nft);
+  const mintTx = await chain.getParsedTx(nft.mintTxid);
+  const mint = mintTx ? classifyMint(mintTx, vout) : { class: 'mint', evidence: [] };
+  const { pendingOwner, burned, burnTx, ...rest } = nft;
+  const trace = {
+    ...rest,
+    owner: MINTING_ADDR,
+    lastTx: nft.mintTxid,
+    lastVout: vout,
+    locationConfidence: confidence,
+    transfers: [{
+      txid: nft.mintTxid,
+      type: 'mint',
+      to: MINTING_ADDR,
+      blockHeight: mintTx?.blockheight,
+      blockHash: mintTx?.blockhash,
+      class: mint.class,
+      evidence: mint.evidence,
+    }],
+  };
+  const scratch = { nfts: { [num]: trace }, owners: {} };
+  let hops = 0;
+
+  while (hops < MAX_HOPS && !trace.burned) {
+    // Check if current output is spent
+    const spendingTxid = await chain.getSpender(trace.lastTx, trace.lastVout);
+
+    if (!spendingTxid) break; // unspent = current holder
+
+    hops++;
+
+    // Get the spending tx to find where the NFT jig moved
+    const spendTx = await chain.getParsedTx(spendingTxid);
+
+    if (!spendTx) break;
+
+    applySpend(scratch, num, spendTx);
+  }
+
+  return {
+    owner: trace.owner,
+    pendingOwner: trace.pendingOwner,
+    transfers: trace.transfers,
+    hops,
+    lastTx: trace.lastTx,
+    lastVout: trace.lastVout,
+    confidence: trace.locationConfidence,
+    burnTx: trace.burnTx,
+  };
+}
+
+// Record a trace on the NFT: owner, pendingOwner, location (lastTx, lastVout,
+// locationConfidence), transfers and burn, and the owners index
+function applyTrace(ledger, num, result) {
+  const nft = ledger.nfts[num];
+  if (nft.owner && nft.owner !== result.owner) removeFromOwnerIndex(ledger, nft.owner, num);
+  nft.owner = result.owner;
+  if (nft.lastTx !== result.lastTx) delete nft.lastProof;
+  nft.lastTx = result.lastTx;
+  nft.lastVout = result.lastVout;
+  nft.locationConfidence = result.confidence;
+  nft.transfers = result.transfers;
+  if (result.pendingOwner) nft.pendingOwner = result.pendingOwner;
+  else delete nft.pendingOwner;
+  if (result.burnTx) Object.assign(nft, { burned: true, burnTx: result.burnTx });
+  addToOwnerIndex(ledger, result.owner, num);
+}
+
+module.exports = { traceNFT, applyTrace, MINTING_ADDR };
@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createChainClient } = require('./chain/client.cjs');
+const { traceNFT, applyTrace, MINTING_ADDR } = require('./trace.cjs');
+
+// Replay session over a hand-built chain (see README, Tests)
+const SESSION = path.join(__dirname, '..', 'test', 'fixtures', 'replay', 'constructed');
+const S = require(path.join(SESSION, 'session.json'));
+
+const replay = () => createChainClient({
+  provider: 'replay',
+  providerOptions: { dir: SESSION },
+  delayMs: 0,
+  minDelayMs: 0,
+  log: () => {},
+});
+
+// NFTs #1–#4 as discovered: minted, no owner yet
+function discoveredLedger() {
+  const nfts = {};
+  for (const [num, txid] of Object.entries(S.mints)) {
+    nfts[num] = { number: Number(num), mintTxid: txid, jigRef: `${txid}_o3`, transfers: [] };
+  }
+  return { nfts, owners: {} };
+}
+
+const hops = (result) => result.transfers.map(t => [t.txid, t.type, t.class, t.confidence ?? null]);
+
+test('classifies the mint from its Run payload', async () => {
+  const result = await traceNFT(discoveredLedger(), replay(), 2);
+  const mint = result.transfers[0];
+  assert.equal(mint.to, MINTING_ADDR);
+  assert.equal(mint.blockHeight, 771301);
+  assert.match(mint.blockHash, /^[0-9a-f]{64}$/);
+  assert.equal(mint.class, 'mint');
+  assert.deepEqual(mint.evidence.map(e => e.fact), ['CALL mint', 'creates 1 jig', `jig output 3 pays ${MINTING_ADDR}`]);
+});
+
+test('follows a listing and the purchase out of it', async () => {
+  const result = await traceNFT(discoveredLedger(), replay(), 2);
+
+  assert.deepEqual(hops(result), [
+    [S.mints[2], 'mint', 'mint', null],
+    [S.list, 'list', 'list', 'run'],
+    [S.purchase, 'send', 'purchase', 'run'],
+  ]);
+  const [, list, purchase] = result.transfers;
+  assert.deepEqual([list.from, list.seller, list.price, list.payTo], [S.minter, S.minter, 50000, S.minter]);
+  assert.deepEqual([purchase.from, purchase.to, purchase.seller, purchase.price], [S.minter, S.buyer, S.minter, 50000]);
+  assert.equal(result.owner, S.buyer);
+  assert.equal(result.lastTx, S.purchase);
+  assert.equal(result.lastVout, 1);
+  assert.equal(result.confidence, 'run');
+});
+
+test('guesses a dust output without a Run payload and detects the sweep that burns the jig', async () => {
+  const result = await traceNFT(discoveredLedger(), replay(), 3);
+
+  assert.deepEqual(hops(result), [
+    [S.mints[3], 'mint', 'mint', null],
+    [S.move, 'send', 'send', 'heuristic'],
+    [S.sweep, 'burn', 'burn-by-sweep', 'heuristic'],
+  ]);
+  assert.equal(result.transfers[1].to, S.holder);
+  assert.equal(result.owner, S.holder);
+  assert.equal(result.burnTx, S.sweep);
+  assert.equal(result.hops, 2);
+});
+
+test('takes an OrderLock over a dust P2PKH output when there is no Run payload', async () => {
+  const result = await traceNFT(discoveredLedger(), replay(), 4);
+
+  assert.deepEqual(hops(result), [
+    [S.mints[4], 'mint', 'mint', null],
+    [S.bareList, 'list', 'list', 'heuristic'],
+  ]);
+  assert.equal(result.lastVout, 1);
+  assert.equal(result.transfers[1].price, 120000);
+  assert.equal(result.owner, S.minter);
+});
+
+test('applies traces to the ledger and the owners index', async () => {
+  const ledger = discoveredLedger();
+  const chain = replay();
+  ledger.nfts[2].lastProof = { txid: S.mints[2] };
+  for (const num of [1, 2, 3, 4]) applyTrace(ledger, num, await traceNFT(ledger, chain, num));
+
+  assert.deepEqual(ledger.owners, { [S.holder]: [1, 3], [S.buyer]: [2], [S.minter]: [4] });
+  assert.equal(ledger.nfts[1].pendingOwner, S.third);
+  assert.equal(ledger.nfts[2].lastProof, undefined);
+  assert.equal(ledger.nfts[3].burned, true);
+  assert.equal(ledger.nfts[3].burnTx, S.sweep);
+  assert.equal(ledger.nfts[4].lastTx, S.bareList);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+// Content-addressed on-disk cache of confirmed transactions.
+// Entries live at cache/tx/<first 2 hex chars>/<txid>.json as { txid, hex, tx }.
+// Only confirmed txs are stored, so an entry never goes stale (barring reorgs,
+// for which callers evict the entry with remove()).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'cache', 'tx');
+const DEFAULT_MAX_BYTES = (parseInt(process.env.TX_CACHE_MAX_MB) || 512) * 1024 * 1024;
+const TXID_RE = /^[0-9a-f]{64}$/;
+
+// txid = reversed double-SHA256 of the raw tx
+function hashTx(hex) {
+  const once = crypto.createHash('sha256').update(Buffer.from(hex, 'hex')).digest();
+  return Buffer.from(crypto.createHash('sha256').update(once).digest()).reverse().toString('hex');
+}
+
+function isConfirmed(tx) {
+  return !!tx && (tx.blockheight > 0 || tx.confirmations > 0);
+}
+
+function createTxCache({ dir = process.env.TX_CACHE_DIR || DEFAULT_DIR, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  let totalBytes = null; // computed lazily on first write
+
+  function fileFor(txid) {
+    return path.join(dir, txid.slice(0, 2), `${txid}.json`);
+  }
+
+  function* files() {
+    if (!fs.existsSync(dir)) return;
+    for (const shard of fs.readdirSync(dir)) {
+      const shardDir = path.join(dir, shard);
+      if (!fs.statSync(shardDir).isDirectory()) continue;
+      for (const f of fs.readdirSync(shardDir)) {
+        if (f.endsWith('.json')) yield path.join(shardDir, f);
+      }
+    }
+  }
+
+  function usage() {
+    let bytes = 0;
+    let count = 0;
+    for (const f of files()) { bytes += fs.statSync(f).size; count++; }
+    return { bytes, count };
+  }
+
+  function get(txid) {
+    if (!TXID_RE.test(txid)) return null;
+    const file = fileFor(txid);
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const now = new Date();
+      fs.utimesSync(file, now, now); // mtime doubles as last-used for eviction
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  function put(txid, { hex, tx }) {
+    if (!TXID_RE.test(txid) || !isConfirmed(tx)) return false;
+    const file = fileFor(txid);
+    const body = JSON.stringify({ txid, hex: hex || null, tx });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, file);
+
+    if (totalBytes === null) totalBytes = usage().bytes;
+    else totalBytes += body.length;
+    if (totalBytes > maxBytes) prune();
+    return true;
+  }
+
+  function remove(txid) {
+    if (!TXID_RE.test(txid)) return false;
+    try { fs.unlinkSync(fileFor(txid)); } catch { return false; }
+    totalBytes = null;
+    return true;
+  }
+
+  // Evict least recently used entries until under 90% of the cap
+  function prune(target = Math.floor(maxBytes * 0.9)) {
+    const entries = [];
+    for (const f of files()) {
+      const st = fs.statSync(f);
+      entries.push({ f, size: st.size, mtime: st.mtimeMs });
+    }
+    totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+    entries.sort((a, b) => a.mtime - b.mtime);
+    let removed = 0;
+    for (const e of entries) {
+      if (totalBytes <= target) break;
+      fs.unlinkSync(e.f);
+      totalBytes -= e.size;
+      removed++;
+    }
+    return { removed, bytes: totalBytes };
+  }
+
+  // Re-hash every entry's raw hex against its txid
+  function verify({ remove = false } = {}) {
+    const result = { checked: 0, ok: 0, missingHex: [], mismatched: [], unreadable: [] };
+    for (const f of files()) {
+      result.checked++;
+      const txid = path.basename(f, '.json');
+      let entry;
+      try { entry = JSON.parse(fs.readFileSync(f, 'utf8')); }
+      catch { result.unreadable.push(txid); if (remove) fs.unlinkSync(f); continue; }
+      if (!entry.hex) { result.missingHex.push(txid); continue; }
+      if (hashTx(entry.hex) !== txid || (entry.tx?.txid && entry.tx.txid !== txid)) {
+        result.mismatched.push(txid);
+        if (remove) fs.unlinkSync(f);
+        continue;
+      }
+      result.ok++;
+    }
+    return result;
+  }
+
+  return { dir, maxBytes, get, put, remove, prune, verify, usage };
+}
+
+module.exports = { createTxCache, hashTx, isConfirmed };
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+'use strict';
+
+// Upgrade ledgers to the current schema version (lib/schema.cjs, lib/migrations/)
+//   node migrate.cjs                   the ledger in the configured store (LEDGER_STORE)
+//   node migrate.cjs --backups         ... and every backup in ledger-backups/
+//   node migrate.cjs <file> [...]      specific ledger files (.json, or .db for sqlite)
+//   node migrate.cjs --status          report versions and pending steps, change nothing
+//   --offline                          skip chain lookups (steps that need them leave work for the refresh)
+
+const fs = require('fs');
+const path = require('path');
+const { createChainClient } = require('./lib/chain/client.cjs');
+const { createLedgerStore, BACKUP_DIR } = require('./lib/ledger-store.cjs');
+const { SCHEMA_VERSION, pendingMigrations, migrate } = require('./lib/schema.cjs');
+
+const args = process.argv.slice(2);
+const statusOnly = args.includes('--status');
+const offline = args.includes('--offline');
+const files = args.filter(a => !a.startsWith('--'));
+
+let chain = null;
+function getChain() {
+  if (offline) return null;
+  if (!chain) chain = createChainClient();
+  return chain;
+}
+
+// Backups are migrated in place; a corrupt one is reported, not restored
+function storeFor(file, { restore = true } = {}) {
+  return file.endsWith('.db')
+    ? createLedgerStore({ backend: 'sqlite', file })
+    : createLedgerStore({ backend: 'json', file, restore });
+}
+
+async function upgrade(store, label) {
+  try {
+    const ledger = store.load({ anyVersion: true });
+    const version = ledger.schemaVersion ?? 0;
+    if (version > SCHEMA_VERSION) {
+      console.log(`${label}: version ${version} is newer than this code (${SCHEMA_VERSION}) — skipped`);
+      return false;
+    }
+    const pending = pendingMigrations(ledger);
+    if (pending.length === 0) {
+      console.log(`${label}: up to date (version ${version})`);
+      return true;
+    }
+    if (statusOnly) {
+      console.log(`${label}: version ${version}, pending ${pending.map(m => m.version).join(', ')}`);
+      return true;
+    }
+    console.log(`${label}: version ${version} → ${SCHEMA_VERSION}`);
+    await migrate(ledger, { getChain });
+    store.save(ledger, { touch: false });
+    return true;
+  } finally {
+    store.close();
+  }
+}
+
+(async () => {
+  const targets = files.length > 0 ? files.map(f => [storeFor(f), f]) : [[createLedgerStore(), 'ledger']];
+  if (args.includes('--backups') && fs.existsSync(BACKUP_DIR)) {
+    for (const f of fs.readdirSync(BACKUP_DIR).sort()) {
+      if (!/^ledger-.*\.(json|db)$/.test(f)) continue;
+      const file = path.join(BACKUP_DIR, f);
+      targets.push([storeFor(file, { restore: false }), path.relative(__dirname, file)]);
+    }
+  }
+
+  let ok = true;
+  for (const [store, label] of targets) {
+    try {
+      ok = await upgrade(store, label) && ok;
+    } catch (e) {
+      console.error(`${label}: ${e.message}`);
+      ok = false;
+    }
+  }
+  if (!ok) process.exit(1);
+})();
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+'use strict';
+
+// SPV ownership proofs (lib/spv.cjs)
+//   node proofs.cjs fetch                          store a merkle proof for every NFT's lastTx (nft.lastProof)
+//   node proofs.cjs bundle <number> [out.json]     build a proof bundle, mint → current output
+//   node proofs.cjs verify <bundle.json> --headers <file> [--headers-start N]
+//                                                  check a bundle offline against a headers file
+//   node proofs.cjs headers <file> [--from N] [--to N]
+//                                                  append raw block headers to a headers file whose
+//                                                  first header is at height N (default 0)
+
+const fs = require('fs');
+const { createChainClient } = require('./lib/chain/client.cjs');
+const { fetchTxProof, buildProofBundle, verifyProofBundle, openHeaders } = require('./lib/spv.cjs');
+const { createLedgerStore } = require('./lib/ledger-store.cjs');
+const SAVE_EVERY = 50;
+
+const [cmd, ...args] = process.argv.slice(2);
+
+function flag(name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+async function fetchProofs() {
+  const store = createLedgerStore();
+  const ledger = store.load();
+  const chain = createChainClient();
+  const stale = Object.values(ledger.nfts)
+    .filter(nft => nft.lastTx && !nft.burned && (!nft.lastProof || nft.lastProof.txid !== nft.lastTx));
+  console.log(`${stale.length} NFTs need a proof for their lastTx`);
+
+  let fetched = 0;
+  let unconfirmed = 0;
+  for (const nft of stale) {
+    try {
+      const proof = await fetchTxProof(chain, nft.lastTx);
+      if (!proof) { unconfirmed++; continue; }
+      nft.lastProof = proof;
+      if (++fetched % SAVE_EVERY === 0) {
+        store.save(ledger);
+        console.log(`[${new Date().toISOString()}] ${fetched}/${stale.length} proofs`);
+      }
+    } catch (e) {
+      console.error(`#${nft.number}: ${e.message}`);
+    }
+  }
+  store.save(ledger);
+  console.log(`Done. ${fetched} proofs stored, ${unconfirmed} still unconfirmed.`);
+}
+
+async function writeBundle() {
+  const num = parseInt(args[0]);
+  const nft = createLedgerStore().load().nfts[num];
+  if (!nft) throw new Error(`NFT #${args[0]} not found`);
+  const bundle = await buildProofBundle(createChainClient(), nft);
+  const json = JSON.stringify(bundle, null, 2);
+  if (args[1]) {
+    fs.writeFileSync(args[1], json);
+    console.log(`Wrote ${args[1]}: ${bundle.txs.length} txs, mint → ${bundle.location.txid}:${bundle.location.vout}`);
+  } else {
+    console.log(json);
+  }
+}
+
+function verifyBundle() {
+  const file = args[0];
+  const headersFile = flag('--headers');
+  if (!file || !headersFile) throw new Error('Usage: proofs.cjs verify <bundle.json> --headers <file> [--headers-start N]');
+  const headers = openHeaders(headersFile, { startHeight: parseInt(flag('--headers-start')) || 0 });
+  const result = verifyProofBundle(JSON.parse(fs.readFileSync(file, 'utf8')), headers);
+  headers.close();
+
+  if (result.valid) {
+    console.log(`VALID: ${result.hops} hops from mint, last confirmed at block ${result.height}, current output pays ${result.owner || '(OrderLock listing)'}`);
+  } else {
+    console.log('INVALID:');
+    for (const err of result.errors) console.log(`  ${err}`);
+    process.exit(1);
+  }
+}
+
+// Raw headers are appended from the file's current end, so the file keeps
+// height order. --from is the height of the file's first header (pass the same
+// value to verify as --headers-start).
+async function appendHeaders() {
+  const file = args[0];
+  if (!file) throw new Error('Usage: proofs.cjs headers <file> [--from N] [--to N]');
+  const chain = createChainClient({ provider: process.env.CHAIN_PROVIDER || 'rpc', delayMs: 0, minDelayMs: 0 });
+  const existing = fs.existsSync(file) ? Math.floor(fs.statSync(file).size / 80) : 0;
+  const start = (parseInt(flag('--from')) || 0) + existing;
+  const tip = parseInt(flag('--to')) || (await chain.getChainInfo()).blocks;
+
+  const fd = fs.openSync(file, 'a');
+  try {
+    for (let height = start; height <= tip; height++) {
+      const hex = await chain.getRawBlockHeader(await chain.getBlockHash(height));
+      fs.writeSync(fd, Buffer.from(hex, 'hex'));
+      if (height % 10000 === 0) console.log(`  header ${height}/${tip}`);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  console.log(`Headers file ${file} now ends at height ${tip}`);
+}
+
+const COMMANDS = { fetch: fetchProofs, bundle: writeBundle, verify: verifyBundle, headers: appendHeaders };
+
+(async () => {
+  if (!COMMANDS[cmd]) {
+    console.error(`Unknown command: ${cmd} (expected ${Object.keys(COMMANDS).join(' | ')})`);
+    process.exit(1);
+  }
+  await COMMANDS[cmd]();
+})().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
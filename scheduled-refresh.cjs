@@ -5,38 +5,47 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { createLedgerStore, BACKUP_DIR } = require('./lib/ledger-store.cjs');
 
 const BASE = __dirname;
-const LEDGER = path.join(BASE, 'ledger.json');
-const BACKUP_DIR = path.join(BASE, 'ledger-backups');
 
-// Ensure backup dir exists
-if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR);
+(async () => {
+  // Ensure backup dir exists
+  if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR);
 
-// Backup current ledger with timestamp
-const ts = new Date().toISOString().replace(/[:.]/g, '-');
-const backupPath = path.join(BACKUP_DIR, `ledger-${ts}.json`);
-fs.copyFileSync(LEDGER, backupPath);
-console.log(`Backed up ledger to ${backupPath}`);
+  // Backup current ledger with timestamp (ledger.json, or a copy of the sqlite store).
+  // Loading first restores a corrupt ledger from the last good backup.
+  const store = createLedgerStore();
+  store.load();
+  const ts = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(BACKUP_DIR, `ledger-${ts}${store.backend === 'sqlite' ? '.db' : '.json'}`);
+  await store.backup(backupPath);
+  store.close();
+  console.log(`Backed up ledger to ${backupPath}`);
 
-// Clean old backups (keep last 30)
-const backups = fs.readdirSync(BACKUP_DIR)
-  .filter(f => f.startsWith('ledger-') && f.endsWith('.json'))
-  .sort()
-  .reverse();
+  // Clean old backups (keep last 30)
+  const backups = fs.readdirSync(BACKUP_DIR)
+    .filter(f => f.startsWith('ledger-') && (f.endsWith('.json') || f.endsWith('.db')))
+    .sort()
+    .reverse();
 
-if (backups.length > 30) {
-  backups.slice(30).forEach(f => {
-    fs.unlinkSync(path.join(BACKUP_DIR, f));
-    console.log(`Removed old backup: ${f}`);
-  });
-}
+  if (backups.length > 30) {
+    backups.slice(30).forEach(f => {
+      fs.unlinkSync(path.join(BACKUP_DIR, f));
+      console.log(`Removed old backup: ${f}`);
+    });
+  }
 
-// Run refresh
-console.log('\nStarting ownership refresh...\n');
-try {
-  execSync(`node ${path.join(BASE, 'refresh-owners.cjs')}`, { stdio: 'inherit', timeout: 3600000 });
-} catch (e) {
-  console.error('Refresh failed:', e.message);
+  // Run refresh (REFRESH_MODE=blocks walks new blocks instead of polling every NFT)
+  const script = process.env.REFRESH_MODE === 'blocks' ? 'sync-blocks.cjs' : 'refresh-owners.cjs';
+  console.log(`\nStarting ownership refresh (${script})...\n`);
+  try {
+    execSync(`node ${path.join(BASE, script)}`, { stdio: 'inherit', timeout: 3600000 });
+  } catch (e) {
+    console.error('Refresh failed:', e.message);
+    process.exit(1);
+  }
+})().catch(e => {
+  console.error(e.message);
   process.exit(1);
-}
+});
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+'use strict';
+
+// Maintain the local spent-output index used by the node RPC provider
+//   node spent-index.cjs seed               watch every NFT location in the ledger
+//   node spent-index.cjs sync [--from N]    scan blocks from the cursor (or N) to the tip
+//   node spent-index.cjs stats
+
+const { createChainClient } = require('./lib/chain/client.cjs');
+const { createSpentIndex } = require('./lib/spent-index.cjs');
+const { createLedgerStore } = require('./lib/ledger-store.cjs');
+
+const index = createSpentIndex();
+const [cmd = 'stats', ...args] = process.argv.slice(2);
+
+(async () => {
+  if (cmd === 'seed') {
+    const ledger = createLedgerStore().load();
+    const { added, rescanFrom } = index.seedFromLedger(ledger);
+    index.save();
+    console.log(`Seeded from ledger: ${added} new watches${rescanFrom !== null ? `; the next sync rescans from block ${rescanFrom}` : ''}`);
+    console.log(index.stats());
+  } else if (cmd === 'sync') {
+    const fromIdx = args.indexOf('--from');
+    if (fromIdx >= 0) index.rewind(parseInt(args[fromIdx + 1]));
+    const chain = createChainClient({ provider: process.env.CHAIN_PROVIDER || 'rpc', delayMs: 0, minDelayMs: 0 });
+    console.log(`Syncing spent index from block ${index.height === null ? 'start' : index.height + 1}...`);
+    const result = await index.sync(chain);
+    console.log(`Done. ${result.scanned} blocks scanned, ${result.found} spends recorded, height ${result.height}.`);
+  } else if (cmd === 'stats') {
+    console.log(index.file);
+    console.log(index.stats());
+  } else {
+    console.error(`Unknown command: ${cmd} (expected seed | sync | stats)`);
+    process.exit(1);
+  }
+})().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
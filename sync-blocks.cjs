@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+'use strict';
+
+// Block-driven ownership sync for Rexxie NFTs
+// Walks blocks since ledger.syncedHeight and applies transfers, listings and
+// burns for every tx spending a tracked lastTx:lastVout. Needs raw blocks, so
+// run it against a node: CHAIN_PROVIDER=rpc node sync-blocks.cjs [--from N] [--to N]
+
+const { createChainClient } = require('./lib/chain/client.cjs');
+const { lastVoutOf } = require('./lib/jig.cjs');
+const { syncBlocks } = require('./lib/block-sync.cjs');
+const { createLedgerStore, loadOrExit } = require('./lib/ledger-store.cjs');
+
+const store = createLedgerStore();
+const startedAt = new Date().toISOString();
+const SAVE_EVERY_BLOCKS = 100;
+
+const chain = createChainClient({ provider: process.env.CHAIN_PROVIDER || 'rpc', delayMs: 0, minDelayMs: 0 });
+
+let ledger = loadOrExit(store);
+console.log(`Loaded ledger: ${Object.keys(ledger.nfts).length} NFTs, synced to block ${ledger.syncedHeight ?? '(never)'}`);
+
+function saveLedger() {
+  store.save(ledger);
+}
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? parseInt(process.argv[i + 1]) : undefined;
+}
+
+(async () => {
+  // Every live NFT needs a known lastVout to be tracked
+  const needVout = Object.keys(ledger.nfts).map(Number)
+    .filter(n => ledger.nfts[n].lastTx && !ledger.nfts[n].burned && ledger.nfts[n].lastVout === undefined);
+  if (needVout.length > 0) {
+    console.log(`Resolving lastVout for ${needVout.length} NFTs...`);
+    const txs = await chain.getParsedTxs(needVout.map(n => ledger.nfts[n].lastTx));
+    needVout.forEach((num, i) => {
+      const nft = ledger.nfts[num];
+      const jig = txs[i] && lastVoutOf(nft, txs[i]);
+      if (jig) Object.assign(nft, { lastVout: jig.vout, locationConfidence: jig.confidence });
+      else console.error(`#${num}: could not resolve vout in lastTx, not tracked`);
+    });
+  }
+
+  const counts = { sent: 0, listed: 0, moved: 0, burned: 0, confirmed: 0 };
+  let blocksSinceSave = 0;
+
+  const summary = await syncBlocks(ledger, chain, {
+    fromHeight: argValue('--from'),
+    toHeight: argValue('--to'),
+    onReorg({ forkHeight, orphaned, nfts }) {
+      console.log(`  REORG: ${orphaned} block(s) orphaned, rolled back to ${forkHeight}${nfts.length ? ` (re-applying #${nfts.join(', #')})` : ''}`);
+      saveLedger();
+    },
+    onBlock({ height, events }) {
+      for (const { num, txid, outcome } of events) {
+        counts[outcome]++;
+        const nft = ledger.nfts[num];
+        console.log(`  block ${height}: #${num} ${outcome} in ${txid.slice(0, 12)}…${outcome === 'sent' ? ` → ${nft.owner}` : ''}`);
+      }
+      if (++blocksSinceSave >= SAVE_EVERY_BLOCKS || events.length > 0) {
+        saveLedger();
+        blocksSinceSave = 0;
+      }
+      if (height % 100 === 0) console.log(`[${new Date().toISOString()}] block ${height}`);
+    },
+  });
+
+  saveLedger();
+  console.log(`\nSYNC COMPLETE: blocks ${summary.from}–${summary.to} (${summary.blocks} scanned)`);
+  if (summary.reorgs.length) console.log(`  Reorgs: ${summary.reorgs.length} (${summary.reorgs.reduce((n, r) => n + r.orphaned, 0)} blocks orphaned)`);
+  console.log(`  Sent: ${counts.sent}  Listed: ${counts.listed}  Moved: ${counts.moved}  Burned: ${counts.burned}  Confirmed: ${counts.confirmed}`);
+  console.log(`  Synced height: ${ledger.syncedHeight}`);
+  store.recordRun({
+    script: 'sync-blocks',
+    startedAt,
+    summary: { from: summary.from, to: summary.to, blocks: summary.blocks, reorgs: summary.reorgs.length, ...counts },
+  });
+})().catch(e => {
+  console.error(`Sync failed: ${e.message}`);
+  store.recordRun({ script: 'sync-blocks', startedAt, status: 'failed', summary: { error: e.message } });
+  process.exit(1);
+});
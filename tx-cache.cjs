@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+'use strict';
+
+// Maintenance for the on-disk transaction cache (cache/tx/)
+//   node tx-cache.cjs stats            entry count and size vs cap
+//   node tx-cache.cjs verify [--delete] re-hash raw hex against each txid
+//   node tx-cache.cjs prune            evict least recently used entries down to 90% of cap
+
+const { createTxCache } = require('./lib/tx-cache.cjs');
+
+const cache = createTxCache();
+const [cmd = 'stats', ...flags] = process.argv.slice(2);
+const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1) + 'MB';
+
+if (cmd === 'stats') {
+  const { bytes, count } = cache.usage();
+  console.log(`${cache.dir}`);
+  console.log(`  ${count} txs, ${mb(bytes)} of ${mb(cache.maxBytes)} cap`);
+} else if (cmd === 'verify') {
+  const remove = flags.includes('--delete');
+  const r = cache.verify({ remove });
+  console.log(`Checked ${r.checked}: ${r.ok} ok, ${r.mismatched.length} mismatched, ${r.unreadable.length} unreadable, ${r.missingHex.length} without hex`);
+  for (const txid of r.mismatched) console.log(`  MISMATCH ${txid}${remove ? ' (deleted)' : ''}`);
+  for (const txid of r.unreadable) console.log(`  UNREADABLE ${txid}${remove ? ' (deleted)' : ''}`);
+  if (r.mismatched.length || r.unreadable.length) process.exit(1);
+} else if (cmd === 'prune') {
+  const { removed, bytes } = cache.prune();
+  console.log(`Removed ${removed} entries. Cache now ${mb(bytes)}.`);
+} else {
+  console.error(`Unknown command: ${cmd} (expected stats | verify | prune)`);
+  process.exit(1);
+}